@@ -66,6 +66,7 @@ const GLOBAL_STYLE = `
   .tag-green { background: #0d3326; color: var(--accent); }
   .tag-red   { background: #3a1a1a; color: var(--accent2); }
   .tag-yellow{ background: #3a2e00; color: var(--accent3); }
+  .tag-blue  { background: #0d1e33; color: #6bb8ff; }
 
   .scrollbar-thin::-webkit-scrollbar { width: 4px; }
   .scrollbar-thin::-webkit-scrollbar-track { background: var(--surface); }
@@ -76,65 +77,194 @@ const GLOBAL_STYLE = `
 `;
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
-const fmt = (n) => `$${Number(n).toFixed(2)}`;
+const fmt = (n) => `${Number(n) < 0 ? "−" : ""}$${Math.abs(Number(n)).toFixed(2)}`;
+
+// Bill snapshot diffs (see lib/snapshotDiff.js) as readable lines
+const DIFF_FIELD_LABELS = {
+  total: "Total", personalTotal: "Personal items", totalDinners: "Dinners", unassignedTotal: "Unassigned", pendingCount: "Pending charges", pendingTotal: "Pending total",
+  person_name: "name", dinner_count: "dinners", pct: "share", personal: "personal items", excluded_amount: "excluded", owes: "owes", paid_shared: "paid (shared)",
+  paid_receipts: "paid (receipts)", paid: "paid", balance: "balance", opening_balance: "opening", closing_balance: "closing",
+  payments_sent: "payments sent", payments_received: "payments received",
+  payer_name: "paid by", refund_of: "refund of", split_count: "split lines",
+};
+const DIFF_MONEY_FIELDS = new Set([
+  "total", "personalTotal", "unassignedTotal", "pendingTotal", "personal", "excluded_amount", "owes", "paid_shared", "paid_receipts", "paid", "balance",
+  "opening_balance", "payments_sent", "payments_received", "closing_balance", "amount",
+]);
+
+function fmtDiffValue(field, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (DIFF_MONEY_FIELDS.has(field)) return fmt(value);
+  if (field === "pct") return `${Number(value).toFixed(1)}%`;
+  return String(value);
+}
+
+function describeSnapshotDiff(diff) {
+  const change = (c) => `${DIFF_FIELD_LABELS[c.field] || c.field}: ${fmtDiffValue(c.field, c.from)} → ${fmtDiffValue(c.field, c.to)}`;
+  const lines = diff.bill.map(change);
+  for (const row of [...diff.people, ...diff.transactions, ...diff.receipts]) {
+    if (row.status === "changed") {
+      lines.push(`${row.label} — ${row.changes.map(change).join(", ")}`);
+    } else {
+      const amount = row.values.amount ?? row.values.owes;
+      lines.push(`${row.status === "added" ? "+" : "−"} ${row.label}${amount != null ? ` (${fmt(amount)})` : ""} ${row.status}`);
+    }
+  }
+  return lines;
+}
+
+const BLANK_RULE = { action: "include", merchant_contains: "", merchant_regex: "", category: "", min_amount: "", max_amount: "", note: "" };
+
+const PAYMENT_METHODS = ["e-transfer", "cash", "cheque", "other"];
+
+// Offered as one-click tags on line items; any other tag can be typed
+const COMMON_ITEM_TAGS = ["meat", "alcohol", "baby"];
+
+// How each expense pool divides its spend (see routes/pools.js)
+const POOL_BASES = {
+  dinners: "by weighted dinners",
+  equal: "equally",
+  fixed: "fixed percentages",
+  days: "by days present",
+};
+
+const toReceipt = (r) => ({
+  id: r.id,
+  personId: r.person_id,
+  amount: Number(r.amount),
+  note: r.note,
+  date: r.date || "",
+  poolId: r.pool_id || null,
+});
+
+// One-line summary of a grocery rule's conditions, e.g. `merchant ∋ "costco" · $5.00–$500.00`
+function describeRule(r) {
+  const parts = [];
+  if (r.merchant_contains) parts.push(`merchant ∋ "${r.merchant_contains}"`);
+  if (r.merchant_regex) parts.push(`merchant ~ /${r.merchant_regex}/`);
+  if (r.category) parts.push(`category ∋ "${r.category}"`);
+  if (r.min_amount != null && r.max_amount != null) parts.push(`${fmt(r.min_amount)}–${fmt(r.max_amount)}`);
+  else if (r.min_amount != null) parts.push(`≥ ${fmt(r.min_amount)}`);
+  else if (r.max_amount != null) parts.push(`≤ ${fmt(r.max_amount)}`);
+  return parts.join(" · ");
+}
 
 function monthKey() {
   const d = new Date();
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
 }
 
+function todayKey() {
+  const d = new Date();
+  return `${monthKey()}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+const PERIOD_TYPES = [
+  { value: "month", label: "Calendar month" },
+  { value: "statement", label: "Card statement (e.g. 15th → 14th)" },
+  { value: "biweekly", label: "Two weeks" },
+  { value: "custom", label: "Custom dates" },
+];
+
+// Request body for POST/PATCH /api/cycles from the cycle period form
+function cyclePeriodBody(form) {
+  const body = form.period_type === "month"
+    ? { period_type: "month", month_key: form.month }
+    : { period_type: form.period_type, date_from: form.date_from, ...(form.period_type === "custom" && { date_to: form.date_to }) };
+  return form.label.trim() ? { ...body, label: form.label.trim() } : body;
+}
+
+// Last day of the period the form describes, for the preview (the server
+// derives the real dates)
+function periodEndPreview(form) {
+  if (form.period_type === "custom" || !form.date_from) return form.date_to;
+  const d = new Date(`${form.date_from}T00:00:00Z`);
+  if (form.period_type === "statement") d.setUTCMonth(d.getUTCMonth() + 1);
+  d.setUTCDate(d.getUTCDate() + (form.period_type === "biweekly" ? 13 : -1));
+  return d.toISOString().slice(0, 10);
+}
+
 // ── App ─────────────────────────────────────────────────────────────────────
 export default function App() {
   const [tab, setTab] = useState("cycle");
   const [people, setPeople] = useState([]);
   const [newPersonName, setNewPersonName] = useState("");
   const [transactions, setTransactions] = useState([]);
+  const [splits, setSplits] = useState([]); // split lines of the cycle's transactions (transaction_splits)
+  const [splitting, setSplitting] = useState(null); // null | id of the transaction open in the split editor
+  const [lineItems, setLineItems] = useState([]); // items on the cycle's transactions and receipts, tags as arrays
+  const [itemsFor, setItemsFor] = useState(null); // null | { _type: "tx" | "receipt", id } open in the item editor
+  const [reviewQueue, setReviewQueue] = useState([]); // bank rows the grocery filter passed over
   const [receipts, setReceipts] = useState([]); // { id, personId, amount, note }
+  const [pools, setPools] = useState([]); // expense pools, the default Groceries pool (id null) first
+  const [newPool, setNewPool] = useState({ name: "", basis: "equal" });
+  const [payments, setPayments] = useState([]); // settle-up payments recorded against the cycle
+  const [paymentDraft, setPaymentDraft] = useState(null); // null | { payer_id, payee_id, amount, date, method, note }
+  const [settlement, setSettlement] = useState(null); // null | GET /api/cycles/:id/settlement
   const [dinners, setDinners] = useState({});   // { [personId]: count }
+  const [weightOverrides, setWeightOverrides] = useState({}); // { [personId]: weight } set for this cycle only
+  const [bill, setBill] = useState(null);       // server-computed bill (computeBill)
+  const [payerDefaults, setPayerDefaults] = useState([]); // [{ source, person_id }]
+  const [accounts, setAccounts] = useState([]);  // card & Plaid account registry
+  const [newCardNumber, setNewCardNumber] = useState("");
+  const [rules, setRules] = useState([]);          // grocery classification rules
+  const [ruleDraft, setRuleDraft] = useState(BLANK_RULE);
+  const [ruleTest, setRuleTest] = useState(null);  // null | { label, count, matches }
   const [cycleId, setCycleId] = useState(null);
   const [cycleName, setCycleName] = useState("");
+  const [cyclePeriod, setCyclePeriod] = useState(null); // { period_type, date_from, date_to } of the active cycle
   const [plaidStatus, setPlaidStatus] = useState("idle");   // idle | loading | done | error
-  const [plaidConnected, setPlaidConnected] = useState(false);
+  const [plaidConnected, setPlaidConnected] = useState(false); // any bank linked, healthy or not
   const [plaidInstitution, setPlaidInstitution] = useState(null);
+  const [plaidItems, setPlaidItems] = useState([]); // [{ item_id, institution, error_code, needs_relink, accounts }]
   const [plaidSyncError, setPlaidSyncError] = useState(null);
   const [allCycles, setAllCycles] = useState([]);
-  const [showNewCycle, setShowNewCycle] = useState(false);
-  const [newCycleMonth, setNewCycleMonth] = useState("");
+  const [cycleForm, setCycleForm] = useState(null); // null | { mode: "new" | "edit", period_type, month, date_from, date_to, label }
   const [showManualForm, setShowManualForm] = useState(false);
   const [manualMerchant, setManualMerchant] = useState("");
   const [manualAmount, setManualAmount] = useState("");
   const [manualDate, setManualDate] = useState("");
+  const [manualRefund, setManualRefund] = useState(false);
   const [loading, setLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
   const [csvImporting, setCsvImporting] = useState(false);
-  const [csvResult, setCsvResult] = useState(null); // null | { added, skipped, errors }
+  const [importResult, setImportResult] = useState(null); // null | { source, added, queued, skipped, locked_rows, unfiled, cycles_created, ... }
+  const [plaidImport, setPlaidImport] = useState(null); // null | { start_date, end_date, create_missing, busy }
   const dinnersModified = useRef(false);
   const csvFileRef = useRef(null);
   const [cycleFinalized, setCycleFinalized] = useState(false);
   const [copied, setCopied] = useState(false);
   const [historyView, setHistoryView] = useState(null); // null | cycle detail object
+  const [ledger, setLedger] = useState(null);           // null | GET /api/ledger
+  const [mockLink, setMockLink] = useState(null);       // null | institutions offered by PLAID_ENV=mock
 
   // ── Bootstrap ─────────────────────────────────────────────────────────────
   useEffect(() => {
     async function bootstrap() {
       try {
-        const [peopleData, cyclesData, plaidStatusData] = await Promise.all([
+        const [peopleData, cyclesData, plaidStatusData, payerDefaultsData, accountsData, rulesData] = await Promise.all([
           api.getPeople(),
           api.getCycles(),
-          api.getPlaidStatus().catch(() => ({ connected: false })),
+          api.getPlaidStatus().catch(() => ({ connected: false, items: [] })),
+          api.getPayerDefaults(),
+          api.getAccounts(),
+          api.getRules(),
         ]);
-        if (plaidStatusData.connected) {
-          setPlaidConnected(true);
-          setPlaidInstitution(plaidStatusData.institution || null);
-        }
+        applyPlaidStatus(plaidStatusData);
         setPeople(peopleData);
-
-        const mk = monthKey();
-        let cycle = cyclesData.find((c) => c.month_key === mk);
+        setPayerDefaults(payerDefaultsData);
+        setAccounts(accountsData);
+        setRules(rulesData);
+
+        // Open the cycle covering today; the server creates it (continuing
+        // the latest cycle's period) if missing, else fall back to the latest
+        const today = todayKey();
+        let cycle = cyclesData.find((c) => c.date_from <= today && c.date_to >= today);
         let finalCyclesData = cyclesData;
         if (!cycle) {
-          cycle = await api.createCycle(mk);
-          finalCyclesData = [cycle, ...cyclesData];
+          cycle = await api.getCurrentCycle().catch(() => null);
+          if (cycle) finalCyclesData = await api.getCycles();
+          else cycle = cyclesData[0];
         }
 
         setAllCycles(finalCyclesData);
@@ -152,22 +282,37 @@ export default function App() {
     bootstrap();
   }, []);
 
+  function applyPlaidStatus(status) {
+    setPlaidConnected(!!status.linked);
+    setPlaidInstitution(status.items?.map((i) => i.institution).join(" + ") || status.institution || null);
+    setPlaidItems(status.items || []);
+  }
+
   function applyDetail(detail) {
     setTransactions(detail.transactions.map((t) => ({ ...t, verified: !!t.verified })));
-    setReceipts(
-      detail.personalReceipts.map((r) => ({
-        id: r.id,
-        personId: r.person_id,
-        amount: Number(r.amount),
-        note: r.note,
-        date: r.date || "",
-      }))
-    );
+    setSplits(detail.splits || []);
+    setSplitting(null);
+    setLineItems(detail.lineItems || []);
+    setItemsFor(null);
+    setReviewQueue(detail.reviewQueue || []);
+    setReceipts(detail.personalReceipts.map(toReceipt));
+    setPools(detail.pools || []);
+    setPayments(detail.payments || []);
     const dm = {};
-    for (const e of detail.dinnerEntries) dm[e.person_id] = e.dinner_count;
+    const wm = {};
+    for (const e of detail.dinnerEntries) {
+      dm[e.person_id] = e.dinner_count;
+      if (e.weight !== null) wm[e.person_id] = e.weight;
+    }
     setDinners(dm);
+    setWeightOverrides(wm);
+    setBill(detail.bill);
     dinnersModified.current = false;
-    if (detail.cycle) setCycleFinalized(!!detail.cycle.finalized);
+    if (detail.cycle) {
+      setCycleFinalized(!!detail.cycle.finalized);
+      const { period_type, date_from, date_to } = detail.cycle;
+      setCyclePeriod({ period_type, date_from, date_to });
+    }
   }
 
   // ── Auto-save dinners (debounced) ─────────────────────────────────────────
@@ -178,40 +323,74 @@ export default function App() {
         person_id,
         dinner_count: Number(dinner_count) || 0,
       }));
-      api.saveDinners(cycleId, entries).catch(console.error);
+      api.saveDinners(cycleId, entries)
+        .then(() => api.getBill(cycleId))
+        .then(setBill)
+        .catch(console.error);
     }, 600);
     return () => clearTimeout(timer);
   }, [dinners, cycleId]);
 
+  // Who pays whom follows the bill; refetch whenever it changes
+  useEffect(() => {
+    if (!cycleId || !bill) return;
+    api.getSettlement(cycleId).then(setSettlement).catch(console.error);
+  }, [cycleId, bill]);
+
+  // History shows the running ledger; reload it whenever the tab opens or
+  // a cycle is finalized or reopened.
+  useEffect(() => {
+    if (tab !== "history") return;
+    api.getLedger().then(setLedger).catch(console.error);
+  }, [tab, allCycles]);
+
   // ── Derived ───────────────────────────────────────────────────────────────
   // Total includes both shared transactions (Visa/CSV/manual) and per-person
   // out-of-pocket receipts — all represent real grocery spend the household splits.
+  // Pending bank charges are left out until they post, and split lines
+  // charged to one person aren't shared — both matching computeBill.
+  const pendingTransactions = transactions.filter((t) => t.pending);
+  const personalSplitTotal = splits
+    .filter((l) => l.person_id && transactions.some((t) => t.id === l.transaction_id && !t.pending))
+    .reduce((s, l) => s + l.amount, 0);
   const totalGroceries =
-    transactions.reduce((s, t) => s + t.amount, 0) +
-    receipts.reduce((s, r) => s + r.amount, 0);
+    transactions.filter((t) => !t.pending).reduce((s, t) => s + t.amount, 0) +
+    receipts.reduce((s, r) => s + r.amount, 0) - personalSplitTotal;
 
   // Combined sorted list for the Transactions tab (shared charges + personal out-of-pocket)
   const allEntries = [
-    ...transactions.map((t) => ({ _type: "tx", id: t.id, date: t.date || "", label: t.merchant, amount: t.amount, verified: t.verified, source: t.source })),
-    ...receipts.map((r) => ({ _type: "receipt", id: r.id, date: r.date || "", label: r.note || "(no note)", amount: r.amount, personName: people.find((p) => p.id === r.personId)?.name || "?" })),
+    ...transactions.map((t) => ({ _type: "tx", id: t.id, poolId: t.pool_id || null, date: t.date || "", label: t.merchant, amount: t.amount, splitCount: t.split_count || 0, verified: t.verified, pending: !!t.pending, source: t.source, payerId: t.payer_id, accountMask: t.account_mask, refundOf: t.refund_of, refundOfLabel: t.refund_of ? `${t.refund_of_merchant} ${t.refund_of_date}` : null })),
+    ...receipts.map((r) => ({ _type: "receipt", id: r.id, poolId: r.poolId, date: r.date || "", label: r.note || "(no note)", amount: r.amount, personName: people.find((p) => p.id === r.personId)?.name || "?" })),
   ].sort((a, b) => b.date.localeCompare(a.date));
   const totalDinners = people.reduce((s, p) => s + (Number(dinners[p.id]) || 0), 0);
 
-  const bill = people.map((p) => {
-    const pct = totalDinners > 0 ? (Number(dinners[p.id]) || 0) / totalDinners : 0;
-    const owes = totalGroceries * pct;
-    const paid = receipts.filter((r) => r.personId === p.id).reduce((s, r) => s + r.amount, 0);
-    return { ...p, dinners: Number(dinners[p.id]) || 0, pct, owes, paid, balance: owes - paid };
-  });
+  // Per-person shares, payer credits and balances come from the server so the
+  // payer-of-record rules live in one place (computeBill in db/index.js).
+  const billRows = bill?.billRows || [];
+  const hasOpening = billRows.some((b) => b.opening_balance !== 0);
+  const hasWeights = billRows.some((b) => b.weight !== 1);
+  const hasPools = pools.length > 1;
+  const hasPayments = billRows.some((b) => b.payments_sent !== 0 || b.payments_received !== 0);
+  const hasPersonal = billRows.some((b) => b.personal);
+  const hasExcluded = billRows.some((b) => b.excluded_amount);
 
   // ── Handlers ──────────────────────────────────────────────────────────────
+  const refreshBill = async () => {
+    if (!cycleId) return;
+    try {
+      setBill(await api.getBill(cycleId));
+    } catch (err) {
+      console.error("[Bill] refresh failed:", err);
+    }
+  };
+
   const addPerson = async () => {
     if (!newPersonName.trim()) return;
     try {
       const person = await api.addPerson(newPersonName.trim());
       setPeople((prev) => [...prev, person]);
       setNewPersonName("");
-      if (cycleId) {
+      if (cycleId && !cycleFinalized) {
         await api.saveDinners(cycleId, [{ person_id: person.id, dinner_count: 0 }]);
         setDinners((prev) => ({ ...prev, [person.id]: 0 }));
       }
@@ -220,6 +399,45 @@ export default function App() {
     }
   };
 
+  const changeDinnerWeight = async (id, value) => {
+    try {
+      const person = await api.setDinnerWeight(id, Number(value));
+      setPeople((prev) => prev.map((p) => (p.id === id ? person : p)));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // tags: "meat, alcohol" — the server tidies case, # and duplicates
+  const changeExcludedTags = async (id, tags) => {
+    try {
+      const person = await api.setExcludedTags(id, tags);
+      setPeople((prev) => prev.map((p) => (p.id === id ? person : p)));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Blank clears the cycle's override and falls back to the person's default
+  const changeWeightOverride = async (personId, value) => {
+    if (!cycleId) return;
+    const weight = value === "" ? null : Number(value);
+    try {
+      await api.saveDinners(cycleId, [{ person_id: personId, dinner_count: Number(dinners[personId]) || 0, weight }]);
+      setWeightOverrides((prev) => {
+        const next = { ...prev };
+        if (weight === null) delete next[personId];
+        else next[personId] = weight;
+        return next;
+      });
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const removePerson = async (id) => {
     try {
       await api.removePerson(id);
@@ -237,7 +455,7 @@ export default function App() {
     setTransactions((prev) => prev.map((tx) => (tx.id === id ? { ...tx, verified: next } : tx)));
     try {
       await api.setVerified(cycleId, id, next);
-    } catch (err) {
+    } catch {
       // Revert on failure
       setTransactions((prev) => prev.map((tx) => (tx.id === id ? { ...tx, verified: t.verified } : tx)));
     }
@@ -247,7 +465,8 @@ export default function App() {
     if (!cycleId) return;
     try {
       const updated = await api.addReceipt(cycleId, { person_id: personId, amount: Number(amount), note, date });
-      setReceipts(updated.map((r) => ({ id: r.id, personId: r.person_id, amount: Number(r.amount), note: r.note, date: r.date || "" })));
+      setReceipts(updated.map(toReceipt));
+      refreshBill();
     } catch (err) {
       alert(err.message);
     }
@@ -258,50 +477,131 @@ export default function App() {
     try {
       await api.deleteReceipt(cycleId, id);
       setReceipts((prev) => prev.filter((r) => r.id !== id));
+      setLineItems((prev) => prev.filter((i) => i.receipt_id !== id));
+      refreshBill();
     } catch (err) {
       alert(err.message);
     }
   };
 
-  const handleConnectBank = async () => {
+  // Payments stay open after finalizing — settling up usually comes later
+  const addPayment = async () => {
+    if (!cycleId || !paymentDraft) return;
+    try {
+      setPayments(await api.addPayment(cycleId, { ...paymentDraft, amount: Number(paymentDraft.amount) }));
+      setPaymentDraft(null);
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const removePayment = async (id) => {
+    if (!cycleId || !window.confirm("Delete this payment?")) return;
+    try {
+      setPayments(await api.deletePayment(cycleId, id));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Plaid Link (real or mock) finished: store the item and refresh its accounts
+  const finishLink = async (public_token, metadata) => {
+    try {
+      await api.exchangeToken({
+        public_token,
+        institution_name: metadata.institution?.name,
+        account_ids: (metadata.accounts || []).map((a) => a.id),
+      });
+      applyPlaidStatus(await api.getPlaidStatus());
+      refreshAccounts();
+    } catch (err) {
+      alert("Failed to save bank connection: " + err.message);
+    }
+  };
+
+  const openPlaidLink = (link_token, onSuccess) => {
     if (!window.Plaid) {
       alert("Plaid Link script not loaded. Check your internet connection and refresh.");
       return;
     }
+    const handler = window.Plaid.create({
+      token: link_token,
+      onSuccess,
+      onExit: (err) => {
+        if (err) console.error("[Plaid] Link exited with error:", err);
+      },
+    });
+    handler.open();
+  };
+
+  const handleConnectBank = async () => {
     try {
-      const { link_token } = await api.getLinkToken();
-      const handler = window.Plaid.create({
-        token: link_token,
-        onSuccess: async (public_token, metadata) => {
-          try {
-            await api.exchangeToken({ public_token, institution_name: metadata.institution?.name });
-            setPlaidConnected(true);
-            setPlaidInstitution(metadata.institution?.name || "Connected");
-          } catch (err) {
-            alert("Failed to save bank connection: " + err.message);
-          }
-        },
-        onExit: (err) => {
-          if (err) console.error("[Plaid] Link exited with error:", err);
-        },
-      });
-      handler.open();
+      const { link_token, mock, institutions } = await api.getLinkToken();
+      // PLAID_ENV=mock: pick a fixture institution in our own dialog
+      if (mock) {
+        setMockLink(institutions);
+        return;
+      }
+      openPlaidLink(link_token, finishLink);
     } catch (err) {
       const detail = err.message || "Unknown error";
       alert("Could not open Plaid Link: " + detail);
     }
   };
 
+  // Log in again through Link update mode after the bank login expired
+  const handleReconnectBank = async (item) => {
+    const finishRelink = async () => {
+      try {
+        await api.markPlaidRelinked(item.item_id);
+        applyPlaidStatus(await api.getPlaidStatus());
+      } catch (err) {
+        alert("Failed to update bank connection: " + err.message);
+      }
+    };
+    try {
+      const { link_token, mock } = await api.getLinkToken({ item_id: item.item_id });
+      // Mock items have no login to refresh
+      if (mock) return finishRelink();
+      openPlaidLink(link_token, finishRelink);
+    } catch (err) {
+      alert("Could not open Plaid Link: " + err.message);
+    }
+  };
+
+  const handleDisconnectBank = async (item) => {
+    if (!window.confirm(`Disconnect ${item.institution}? Its accounts stop syncing; transactions already imported are kept.`)) return;
+    try {
+      await api.removePlaidItem(item.item_id);
+      applyPlaidStatus(await api.getPlaidStatus());
+      refreshAccounts();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const handlePlaidSync = async () => {
     if (!cycleId) return;
     setPlaidStatus("loading");
     setPlaidSyncError(null);
     try {
       const result = await api.syncPlaid(cycleId);
-      const txList = await api.getTransactions(cycleId);
+      const [txList, queue] = await Promise.all([api.getTransactions(cycleId), api.getCandidates(cycleId)]);
       setTransactions(txList.map((t) => ({ ...t, verified: !!t.verified })));
-      setPlaidStatus("done");
-      console.log(`[Plaid] Sync complete: ${result.added} added, ${result.skipped} skipped`);
+      setReviewQueue(queue);
+      refreshBill();
+      if (result.cycles_created.length > 0) setAllCycles(await api.getCycles());
+      const failed = result.items.filter((i) => !i.ok);
+      const problems = failed.map((i) => `${i.institution}: ${i.error}`);
+      if (result.unfiled > 0) {
+        problems.push(`${result.unfiled} transaction(s) fall outside every cycle — add cycles for their dates (or use Import Range with "Create cycles") and sync again.`);
+      }
+      if (problems.length > 0) setPlaidSyncError(problems.join("\n"));
+      setPlaidStatus(failed.length > 0 ? "error" : "done");
+      api.getPlaidStatus().then(applyPlaidStatus).catch(console.error);
+      console.log(`[Plaid] Sync complete: ${result.added} added, ${result.queued} queued for review, ${result.modified} modified, ${result.removed} removed, ${result.skipped} skipped`);
     } catch (err) {
       setPlaidStatus("error");
       setPlaidSyncError(err.message);
@@ -312,6 +612,7 @@ export default function App() {
     setManualMerchant("");
     setManualAmount("");
     setManualDate(new Date().toISOString().slice(0, 10));
+    setManualRefund(false);
     setShowManualForm(true);
   };
 
@@ -323,8 +624,10 @@ export default function App() {
         amount: Number(manualAmount),
         source: "receipt",
         date: manualDate || new Date().toISOString().slice(0, 10),
+        refund: manualRefund,
       });
       setTransactions(updated.map((t) => ({ ...t, verified: !!t.verified })));
+      refreshBill();
       setShowManualForm(false);
     } catch (err) {
       alert(err.message);
@@ -336,29 +639,342 @@ export default function App() {
     try {
       await api.deleteTransaction(cycleId, id);
       setTransactions((prev) => prev.filter((t) => t.id !== id));
+      setSplits((prev) => prev.filter((l) => l.transaction_id !== id));
+      setLineItems((prev) => prev.filter((i) => i.transaction_id !== id));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const acceptCandidate = async (id) => {
+    if (!cycleId) return;
+    try {
+      const updated = await api.acceptCandidate(cycleId, id);
+      setTransactions(updated.map((t) => ({ ...t, verified: !!t.verified })));
+      setReviewQueue((prev) => prev.filter((c) => c.id !== id));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const rejectCandidate = async (id) => {
+    if (!cycleId) return;
+    try {
+      await api.rejectCandidate(cycleId, id);
+      setReviewQueue((prev) => prev.filter((c) => c.id !== id));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const rejectAllCandidates = async () => {
+    if (!cycleId || !window.confirm(`Reject all ${reviewQueue.length} queued transactions? They won't be offered again.`)) return;
+    try {
+      await api.rejectAllCandidates(cycleId);
+      setReviewQueue([]);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const linkRefund = async (id, originalId) => {
+    if (!cycleId) return;
+    try {
+      await api.setRefundOf(cycleId, id, originalId || null);
+      const original = transactions.find((t) => t.id === originalId);
+      setTransactions((prev) => prev.map((t) => (t.id === id
+        ? { ...t, refund_of: originalId || null, refund_of_merchant: original?.merchant || null, refund_of_date: original?.date || null }
+        : t)));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const changePayer = async (id, payerId) => {
+    if (!cycleId) return;
+    try {
+      await api.setPayer(cycleId, id, payerId || null);
+      const payerName = people.find((p) => p.id === payerId)?.name || null;
+      setTransactions((prev) => prev.map((t) => (t.id === id ? { ...t, payer_id: payerId || null, payer_name: payerName } : t)));
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const changePool = async (entry, poolId) => {
+    if (!cycleId) return;
+    try {
+      if (entry._type === "tx") {
+        await api.setTransactionPool(cycleId, entry.id, poolId || null);
+        const poolName = pools.find((p) => p.id === poolId)?.name || null;
+        setTransactions((prev) => prev.map((t) => (t.id === entry.id ? { ...t, pool_id: poolId || null, pool_name: poolName } : t)));
+      } else {
+        setReceipts((await api.setReceiptPool(cycleId, entry.id, poolId || null)).map(toReceipt));
+      }
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // lines: [{ amount, pool_id, person_id, note }]; [] bills the transaction whole again
+  const saveSplits = async (txId, lines) => {
+    try {
+      const updated = await api.setTransactionSplits(cycleId, txId, lines);
+      setSplits(updated);
+      setTransactions((prev) => prev.map((t) => (t.id === txId
+        ? { ...t, split_count: updated.filter((l) => l.transaction_id === txId).length }
+        : t)));
+      setSplitting(null);
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const itemsOf = (entry) => lineItems.filter((i) => (entry._type === "tx" ? i.transaction_id : i.receipt_id) === entry.id);
+
+  // body: { items } or { text } (pasted receipt); returns the parse result, or null on error
+  const addItems = async (entry, body) => {
+    try {
+      const result = await api.addLineItems(cycleId, { [entry._type === "tx" ? "transaction_id" : "receipt_id"]: entry.id, ...body });
+      setLineItems(result.items);
+      return result;
+    } catch (err) {
+      alert(err.message);
+      return null;
+    }
+  };
+
+  const updateItem = async (id, body) => {
+    try {
+      setLineItems(await api.updateLineItem(cycleId, id, body));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const removeItem = async (id) => {
+    try {
+      setLineItems(await api.deleteLineItem(cycleId, id));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const addPool = async () => {
+    if (!cycleId || !newPool.name.trim()) return;
+    try {
+      setPools(await api.addPool(cycleId, newPool));
+      setNewPool({ name: "", basis: "equal" });
+      refreshBill();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const savePool = async (id, body) => {
+    try {
+      setPools(await api.updatePool(cycleId, id, body));
+      refreshBill();
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  };
+
+  const removePool = async (pool) => {
+    if (!window.confirm(`Delete the ${pool.name} pool? Its transactions, receipts and split lines go back to Groceries.`)) return;
+    try {
+      setPools(await api.deletePool(cycleId, pool.id));
+      const detail = await api.getCycle(cycleId);
+      setTransactions(detail.transactions.map((t) => ({ ...t, verified: !!t.verified })));
+      setSplits(detail.splits || []);
+      setReceipts(detail.personalReceipts.map(toReceipt));
+      setBill(detail.bill);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const refreshAccounts = async () => {
+    try {
+      setAccounts(await api.getAccounts());
+    } catch (err) {
+      console.error("[Accounts] refresh failed:", err);
+    }
+  };
+
+  const addCard = async () => {
+    if (!newCardNumber.trim()) return;
+    try {
+      await api.addAccount({ card_number: newCardNumber.trim() });
+      setNewCardNumber("");
+      refreshAccounts();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const updateAccount = async (id, body) => {
+    try {
+      const updated = await api.updateAccount(id, body);
+      setAccounts((prev) => prev.map((a) => (a.id === id ? { ...a, ...updated } : a)));
+      // Assigning an owner backfills payers on open-cycle rows
+      if (body.person_id !== undefined && cycleId) {
+        const txList = await api.getTransactions(cycleId);
+        setTransactions(txList.map((t) => ({ ...t, verified: !!t.verified })));
+        refreshBill();
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const togglePlaidAccount = async (id, enabled) => {
+    try {
+      await api.updateAccount(id, { sync_enabled: enabled });
+      setPlaidItems((prev) => prev.map((item) => ({
+        ...item,
+        accounts: item.accounts.map((a) => (a.id === id ? { ...a, sync_enabled: enabled ? 1 : 0 } : a)),
+      })));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const removeAccount = async (id) => {
+    try {
+      await api.deleteAccount(id);
+      setAccounts((prev) => prev.filter((a) => a.id !== id));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const changePayerDefault = async (source, personId) => {
+    try {
+      setPayerDefaults(await api.setPayerDefault(source, personId || null));
+      // Setting a default backfills payers on open-cycle rows
+      if (personId && cycleId) {
+        const txList = await api.getTransactions(cycleId);
+        setTransactions(txList.map((t) => ({ ...t, verified: !!t.verified })));
+        refreshBill();
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Empty form fields mean "no condition"
+  const ruleBody = (draft) => ({
+    ...draft,
+    min_amount: draft.min_amount === "" ? null : Number(draft.min_amount),
+    max_amount: draft.max_amount === "" ? null : Number(draft.max_amount),
+  });
+
+  const addRule = async () => {
+    try {
+      await api.addRule(ruleBody(ruleDraft));
+      setRuleDraft(BLANK_RULE);
+      setRuleTest(null);
+      setRules(await api.getRules());
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const updateRule = async (id, body) => {
+    try {
+      const updated = await api.updateRule(id, body);
+      setRules((prev) => prev.map((r) => (r.id === id ? updated : r)));
     } catch (err) {
       alert(err.message);
     }
   };
 
+  const removeRule = async (id) => {
+    try {
+      await api.deleteRule(id);
+      setRules((prev) => prev.filter((r) => r.id !== id));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const testRule = async (rule, label) => {
+    try {
+      const result = await api.testRule(rule);
+      setRuleTest({ label, ...result });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Household imports file rows into whichever cycle covers each date, so
+  // refresh the cycle list and the open cycle's rows afterwards.
+  const showImportResult = useCallback(async (source, result) => {
+    setImportResult({ source, ...result });
+    setTimeout(() => setImportResult(null), 10000);
+    setAllCycles(await api.getCycles());
+    api.getAccounts().then(setAccounts).catch(console.error);
+    if (!cycleId) return;
+    const [txList, queue, billData] = await Promise.all([
+      api.getTransactions(cycleId), api.getCandidates(cycleId), api.getBill(cycleId),
+    ]);
+    setTransactions(txList.map((t) => ({ ...t, verified: !!t.verified })));
+    setReviewQueue(queue);
+    setBill(billData);
+  }, [cycleId]);
+
   const handleCsvImport = useCallback(async (e) => {
     const file = e.target.files?.[0];
-    if (!file || !cycleId) return;
+    if (!file) return;
     e.target.value = ""; // reset so same file can be re-selected
     setCsvImporting(true);
-    setCsvResult(null);
+    setImportResult(null);
     try {
       const text = await file.text();
-      const result = await api.importCsv(cycleId, text);
-      setTransactions(result.transactions.map((t) => ({ ...t, verified: !!t.verified })));
-      setCsvResult({ added: result.added, skipped: result.skipped, errors: result.errors });
-      setTimeout(() => setCsvResult(null), 6000);
+      let result = await api.importCsv(text);
+      if (result.unfiled > 0 &&
+          window.confirm(`${result.unfiled} row(s) fall outside every billing cycle. Create cycles for them and import those rows too?`)) {
+        // Rows filed the first time come back as duplicates, so keep the first pass's counts for them
+        const retry = await api.importCsv(text, true);
+        result = { ...retry, added: result.added + retry.added, queued: result.queued + retry.queued, skipped: result.skipped };
+      }
+      await showImportResult("CSV", result);
     } catch (err) {
       alert("CSV import failed: " + err.message);
     } finally {
       setCsvImporting(false);
     }
-  }, [cycleId]);
+  }, [showImportResult]);
+
+  const openPlaidImport = () => {
+    const today = todayKey();
+    setPlaidImport({ start_date: `${today.slice(0, 4)}-01-01`, end_date: today, create_missing: false, busy: false });
+  };
+
+  const handlePlaidImport = async () => {
+    const { start_date, end_date, create_missing } = plaidImport;
+    setPlaidImport((f) => ({ ...f, busy: true }));
+    setImportResult(null);
+    try {
+      const result = await api.importPlaidRange({ start_date, end_date, create_missing });
+      setPlaidImport(null);
+      const failed = result.items.filter((i) => !i.ok);
+      if (failed.length > 0) alert(failed.map((i) => `${i.institution}: ${i.error}`).join("\n"));
+      await showImportResult("Plaid", result);
+      api.getPlaidStatus().then(applyPlaidStatus).catch(console.error);
+    } catch (err) {
+      setPlaidImport((f) => f && { ...f, busy: false });
+      alert("Plaid import failed: " + err.message);
+    }
+  };
 
   const handleDinnerChange = (personId, value) => {
     dinnersModified.current = true;
@@ -367,11 +983,17 @@ export default function App() {
 
   const handleFinalize = async () => {
     if (!cycleId) return;
-    if (!window.confirm(`Finalize ${cycleName}? You can unfinalize it later if needed.`)) return;
+    const pendingNote = pendingTransactions.length > 0
+      ? `\n\n${pendingTransactions.length} pending transaction(s) totalling ${fmt(pendingTransactions.reduce((s, t) => s + t.amount, 0))} are not posted yet and will be excluded from the bill.`
+      : "";
+    if (!window.confirm(`Finalize ${cycleName}? You can unfinalize it later if needed.${pendingNote}`)) return;
     try {
-      await api.finalizeCycle(cycleId);
+      const { snapshot } = await api.finalizeCycle(cycleId, { allow_pending: pendingTransactions.length > 0 });
       setCycleFinalized(true);
       setAllCycles((prev) => prev.map((c) => c.id === cycleId ? { ...c, finalized: 1 } : c));
+      if (snapshot.diff?.changed) {
+        alert(`${cycleName} finalized as version ${snapshot.version}. Changes since version ${snapshot.diff.from_version}:\n\n${describeSnapshotDiff(snapshot.diff).join("\n")}`);
+      }
     } catch (err) {
       alert(err.message);
     }
@@ -400,27 +1022,43 @@ export default function App() {
     }
   };
 
-  const openNewCycle = () => {
-    const latestKey = allCycles[0]?.month_key;
-    if (latestKey) {
-      const [y, m] = latestKey.split("-").map(Number);
-      const next = new Date(y, m, 1); // first day of the month after latestKey
-      setNewCycleMonth(`${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, "0")}`);
-    } else {
-      setNewCycleMonth(monthKey());
-    }
-    setShowNewCycle(true);
+  // Prefilled with the period after the latest cycle, continuing its pattern
+  const openNewCycle = async () => {
+    const next = await api.getNextCyclePeriod().catch(() => null);
+    setCycleForm({
+      mode: "new",
+      period_type: next?.period_type || "month",
+      month: next ? next.date_from.slice(0, 7) : monthKey(),
+      date_from: next?.date_from || todayKey(),
+      date_to: next?.date_to || "",
+      label: "",
+    });
   };
 
-  const handleCreateCycle = async () => {
-    if (!newCycleMonth) return;
+  const openEditCycle = () => {
+    if (!cyclePeriod) return;
+    setCycleForm({ mode: "edit", ...cyclePeriod, month: cyclePeriod.date_from.slice(0, 7), label: "" });
+  };
+
+  const handleSaveCycle = async () => {
     try {
-      const newCycle = await api.createCycle(newCycleMonth);
-      const updatedCycles = await api.getCycles();
-      setAllCycles(updatedCycles);
-      setShowNewCycle(false);
-      await switchCycle(newCycle.id);
-      setTab("cycle");
+      const body = cyclePeriodBody(cycleForm);
+      if (cycleForm.mode === "new") {
+        const newCycle = await api.createCycle(body);
+        setAllCycles(await api.getCycles());
+        setCycleForm(null);
+        await switchCycle(newCycle.id);
+        setTab("cycle");
+        return;
+      }
+      const { cycle, outside_range } = await api.updateCycle(cycleId, body);
+      setAllCycles(await api.getCycles());
+      setCycleForm(null);
+      setCycleName(cycle.label);
+      setCyclePeriod({ period_type: cycle.period_type, date_from: cycle.date_from, date_to: cycle.date_to });
+      if (outside_range > 0) {
+        alert(`${outside_range} transaction(s) in this cycle are now dated outside ${cycle.date_from} → ${cycle.date_to}. They still count toward this cycle.`);
+      }
     } catch (err) {
       alert(err.message);
     }
@@ -431,13 +1069,34 @@ export default function App() {
       `${cycleName} — Grocery Bill`,
       `Total: $${totalGroceries.toFixed(2)} | ${totalDinners} dinners`,
       ``,
-      ...bill.map((b) => {
+      ...billRows.map((b) => {
         const balStr =
-          b.balance <= 0
-            ? `credit $${Math.abs(b.balance).toFixed(2)}`
-            : `owes $${b.balance.toFixed(2)}`;
-        return `${b.name}: ${b.dinners} dinners (${(b.pct * 100).toFixed(1)}%) → ${balStr}`;
+          b.closing_balance <= 0
+            ? `credit $${Math.abs(b.closing_balance).toFixed(2)}`
+            : `owes $${b.closing_balance.toFixed(2)}`;
+        const paidStr = b.paid > 0 ? `, paid $${b.paid.toFixed(2)}` : "";
+        const personalStr = b.personal ? `, $${b.personal.toFixed(2)} personal items` : "";
+        const excludedStr = b.excluded_amount ? `, excludes $${b.excluded_amount.toFixed(2)}` : "";
+        const openingStr = b.opening_balance !== 0
+          ? `, ${b.opening_balance > 0 ? "owed" : "credit"} $${Math.abs(b.opening_balance).toFixed(2)} from ${bill.openingFrom.label}`
+          : "";
+        const weightStr = b.weight !== 1 ? ` ×${b.weight}` : "";
+        const sentStr = b.payments_sent > 0 ? `, sent $${b.payments_sent.toFixed(2)}` : "";
+        const receivedStr = b.payments_received > 0 ? `, received $${b.payments_received.toFixed(2)}` : "";
+        return `${b.person_name}: ${b.dinner_count} dinners${weightStr} (${b.pct.toFixed(1)}%${personalStr}${excludedStr}${paidStr}${openingStr}${sentStr}${receivedStr}) → ${balStr}`;
       }),
+      ...(hasPools && bill?.pools
+        ? [``, ...bill.pools.filter((p) => p.total !== 0).map((p) =>
+          `${p.name} (${POOL_BASES[p.basis]}): $${p.total.toFixed(2)} — ${p.shares.map((s) => `${s.person_name} $${s.owes.toFixed(2)}`).join(", ")}`)]
+        : []),
+      ...(bill?.exclusions?.length > 0
+        ? [``, ...bill.exclusions.map((x) =>
+          `${x.tags.join(", ")} $${x.total.toFixed(2)}, not shared with ${x.excluded.map((p) => p.person_name).join(", ")} — ${x.shares.map((s) => `${s.person_name} $${s.owes.toFixed(2)}`).join(", ")}`)]
+        : []),
+      ...(bill?.settled ? [``, `Settled — everyone is square.`] : []),
+      ...(settlement?.transfers.length > 0
+        ? [``, `To settle up:`, ...settlement.transfers.map((t) => `${t.from_name} → ${t.to_name}: $${t.amount.toFixed(2)}`)]
+        : []),
     ];
     try {
       await navigator.clipboard.writeText(lines.join("\n"));
@@ -450,8 +1109,8 @@ export default function App() {
 
   const viewHistoryCycle = async (id) => {
     try {
-      const detail = await api.getCycle(id);
-      setHistoryView(detail);
+      const [detail, snapshots] = await Promise.all([api.getCycle(id), api.getCycleSnapshots(id)]);
+      setHistoryView({ ...detail, snapshots });
     } catch (err) {
       alert(err.message);
     }
@@ -495,7 +1154,7 @@ export default function App() {
           </div>
           <div style={{ flex: 1 }} />
           <div style={{ display: "flex", gap: 8 }}>
-            {["cycle", "transactions", "people", "history"].map((t) => (
+            {["cycle", "transactions", "people", "rules", "history"].map((t) => (
               <button
                 key={t}
                 className={tab === t ? "btn-primary" : "btn-ghost"}
@@ -526,7 +1185,7 @@ export default function App() {
                         disabled={!canGoPrev}
                         style={{ fontSize: 18, padding: "4px 12px", opacity: canGoPrev ? 1 : 0.3 }}
                         onClick={() => switchCycle(allCycles[activeCycleIdx + 1].id)}
-                        title="Previous month"
+                        title="Previous cycle"
                       >←</button>
                       <h1 style={{ fontSize: 24, fontWeight: 800, letterSpacing: -0.5, margin: "0 4px" }}>{cycleName}</h1>
                       <button
@@ -534,9 +1193,17 @@ export default function App() {
                         disabled={!canGoNext}
                         style={{ fontSize: 18, padding: "4px 12px", opacity: canGoNext ? 1 : 0.3 }}
                         onClick={() => switchCycle(allCycles[activeCycleIdx - 1].id)}
-                        title="Next month"
+                        title="Next cycle"
                       >→</button>
-                      <button className="btn-ghost" style={{ fontSize: 11, marginLeft: 4 }} onClick={openNewCycle}>+ New Month</button>
+                      <button className="btn-ghost" style={{ fontSize: 11, marginLeft: 4 }} onClick={openNewCycle}>+ New Cycle</button>
+                      {!cycleFinalized && (
+                        <button className="btn-ghost" style={{ fontSize: 11 }} onClick={openEditCycle} title="Change this cycle's dates">Edit Period</button>
+                      )}
+                      {cyclePeriod && (
+                        <span style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginLeft: 4 }}>
+                          {cyclePeriod.date_from} → {cyclePeriod.date_to}
+                        </span>
+                      )}
                     </div>
                     {/* Finalize / Unfinalize */}
                     <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
@@ -545,7 +1212,7 @@ export default function App() {
                             <span className="tag tag-green" style={{ fontSize: 12, padding: "5px 12px" }}>✓ Finalized</span>
                             <button className="btn-ghost" style={{ fontSize: 11 }} onClick={handleUnfinalize}>Unfinalize</button>
                           </>
-                        : <button className="btn-warn" onClick={handleFinalize}>Finalize Month</button>
+                        : <button className="btn-warn" onClick={handleFinalize}>Finalize Cycle</button>
                       }
                     </div>
                   </div>
@@ -578,7 +1245,7 @@ export default function App() {
                   </div>
                 )}
                 {people.map((p) => {
-                  const b = bill.find((x) => x.id === p.id);
+                  const b = billRows.find((x) => x.person_id === p.id);
                   return (
                     <PersonRow
                       key={p.id}
@@ -586,6 +1253,8 @@ export default function App() {
                       billData={b}
                       dinnerVal={dinners[p.id] || ""}
                       onDinnerChange={(v) => handleDinnerChange(p.id, v)}
+                      weightOverride={weightOverrides[p.id]}
+                      onWeightChange={(v) => changeWeightOverride(p.id, v)}
                       receipts={receipts.filter((r) => r.personId === p.id)}
                       onAddReceipt={(amt, note, date) => addReceipt(p.id, amt, note, date)}
                       onRemoveReceipt={removeReceipt}
@@ -595,11 +1264,41 @@ export default function App() {
                 })}
               </div>
 
+              {/* Expense pools: pots split by their own rule */}
+              {people.length > 0 && (
+                <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden", marginBottom: 28 }}>
+                  <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)" }}>
+                    <div style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Expense Pools</div>
+                    <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginTop: 4, opacity: 0.7 }}>
+                      Split household items evenly or pantry staples by days present — assign transactions and receipts to a pool in the Transactions tab.
+                    </div>
+                  </div>
+                  {pools.map((pool) => (
+                    <PoolRow key={`${pool.id}-${pool.basis}-${pool.shares?.map((s) => `${s.person_id}:${s.value}`).join(",")}`}
+                      pool={pool} people={people} onSave={savePool} onDelete={removePool} finalized={cycleFinalized} />
+                  ))}
+                  {!cycleFinalized && (
+                    <div style={{ display: "flex", gap: 8, padding: "12px 20px" }}>
+                      <input value={newPool.name} placeholder="New pool, e.g. Household"
+                        onChange={(e) => setNewPool((p) => ({ ...p, name: e.target.value }))}
+                        onKeyDown={(e) => e.key === "Enter" && addPool()} style={{ maxWidth: 260 }} />
+                      <select value={newPool.basis} onChange={(e) => setNewPool((p) => ({ ...p, basis: e.target.value }))} style={{ width: 180 }}>
+                        {Object.entries(POOL_BASES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                      <button className="btn-ghost" onClick={addPool}>Add Pool</button>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Final bill table */}
               {people.length > 0 && totalDinners > 0 && (
                 <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden" }}>
                   <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", alignItems: "center", justifyContent: "space-between" }}>
-                    <span style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Final Bill Summary</span>
+                    <span style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                      <span style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Final Bill Summary</span>
+                      {bill?.settled && <span className="tag tag-green">settled</span>}
+                    </span>
                     <button className="btn-ghost" style={{ fontSize: 12 }} onClick={copyBillSummary}>
                       {copied ? "✓ Copied!" : "Copy Summary"}
                     </button>
@@ -607,28 +1306,225 @@ export default function App() {
                   <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 13 }}>
                     <thead>
                       <tr style={{ color: "var(--muted)", fontSize: 11 }}>
-                        {["Person","Dinners","%","Owes","Paid","Balance"].map((h) => (
+                        {["Person", ...(hasOpening ? ["Opening"] : []), "Dinners", ...(hasWeights ? ["Weight"] : []), "%", ...(hasPersonal ? ["Personal"] : []), ...(hasExcluded ? ["Excluded"] : []), "Owes","Paid (shared)","Paid (receipts)", ...(hasPayments ? ["Payments"] : []), "Balance"].map((h) => (
                           <th key={h} style={{ padding: "10px 20px", textAlign: "left", fontWeight: 500, borderBottom: "1px solid var(--border)" }}>{h}</th>
                         ))}
                       </tr>
                     </thead>
                     <tbody>
-                      {bill.map((b) => (
-                        <tr key={b.id} style={{ borderBottom: "1px solid var(--border)" }}>
-                          <td style={{ padding: "12px 20px", fontWeight: 600 }}>{b.name}</td>
-                          <td style={{ padding: "12px 20px" }}>{b.dinners}</td>
-                          <td style={{ padding: "12px 20px" }}>{(b.pct * 100).toFixed(1)}%</td>
+                      {billRows.map((b) => (
+                        <tr key={b.person_id} style={{ borderBottom: "1px solid var(--border)" }}>
+                          <td style={{ padding: "12px 20px", fontWeight: 600 }}>{b.person_name}</td>
+                          {hasOpening && <td style={{ padding: "12px 20px", color: "var(--muted)" }}>{fmt(b.opening_balance)}</td>}
+                          <td style={{ padding: "12px 20px" }}>{b.dinner_count}</td>
+                          {hasWeights && (
+                            <td style={{ padding: "12px 20px", color: "var(--muted)" }}
+                              title={b.weight_override ? "Set for this cycle" : "Person's default weight"}>
+                              ×{b.weight}{b.weight_override && "*"}
+                            </td>
+                          )}
+                          <td style={{ padding: "12px 20px" }}>{b.pct.toFixed(1)}%</td>
+                          {hasPersonal && (
+                            <td style={{ padding: "12px 20px", color: "var(--muted)" }} title="Split lines charged to this person alone — included in Owes">
+                              {fmt(b.personal)}
+                            </td>
+                          )}
+                          {hasExcluded && (
+                            <td style={{ padding: "12px 20px", color: "var(--muted)" }} title="Tagged items they don't pay for — shared among the other diners">
+                              {b.excluded_amount ? fmt(b.excluded_amount) : "—"}
+                            </td>
+                          )}
                           <td style={{ padding: "12px 20px" }}>{fmt(b.owes)}</td>
-                          <td style={{ padding: "12px 20px", color: "var(--accent)" }}>{fmt(b.paid)}</td>
+                          <td style={{ padding: "12px 20px", color: "var(--accent)" }}>{fmt(b.paid_shared)}</td>
+                          <td style={{ padding: "12px 20px", color: "var(--accent)" }}>{fmt(b.paid_receipts)}</td>
+                          {hasPayments && (
+                            <td style={{ padding: "12px 20px", color: "var(--muted)" }} title="Sent to others, less received">
+                              {fmt(b.payments_sent - b.payments_received)}
+                            </td>
+                          )}
                           <td style={{ padding: "12px 20px" }}>
-                            <span className={`tag ${b.balance <= 0 ? "tag-green" : "tag-red"}`}>
-                              {b.balance <= 0 ? `credit ${fmt(Math.abs(b.balance))}` : fmt(b.balance)}
+                            <span className={`tag ${b.closing_balance <= 0 ? "tag-green" : "tag-red"}`}>
+                              {b.closing_balance <= 0 ? `credit ${fmt(Math.abs(b.closing_balance))}` : fmt(b.closing_balance)}
                             </span>
                           </td>
                         </tr>
                       ))}
                     </tbody>
                   </table>
+                  {hasPools && bill?.pools && (
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 12, borderTop: "1px solid var(--border)" }}>
+                      <thead>
+                        <tr style={{ color: "var(--muted)", fontSize: 11 }}>
+                          {["Pool", "Split", "Total", ...billRows.map((b) => b.person_name)].map((h, i) => (
+                            <th key={i} style={{ padding: "8px 20px", textAlign: "left", fontWeight: 500, borderBottom: "1px solid var(--border)" }}>{h}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {bill.pools.map((pool) => (
+                          <tr key={pool.id || "default"} style={{ borderBottom: "1px solid var(--border)" }}>
+                            <td style={{ padding: "8px 20px", fontWeight: 600 }}>{pool.name}</td>
+                            <td style={{ padding: "8px 20px", color: "var(--muted)" }}>{POOL_BASES[pool.basis]}</td>
+                            <td style={{ padding: "8px 20px" }}>
+                              {fmt(pool.total)}
+                              {pool.allocated !== pool.total && (
+                                <span className="tag tag-yellow" style={{ marginLeft: 6 }} title="Nobody has a share of this pool yet">
+                                  {fmt(pool.total - pool.allocated)} unsplit
+                                </span>
+                              )}
+                            </td>
+                            {billRows.map((b) => {
+                              const share = pool.shares.find((s) => s.person_id === b.person_id);
+                              return <td key={b.person_id} style={{ padding: "8px 20px" }}>{share ? fmt(share.owes) : "—"}</td>;
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {bill?.exclusions?.length > 0 && (
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 12, borderTop: "1px solid var(--border)" }}>
+                      <thead>
+                        <tr style={{ color: "var(--muted)", fontSize: 11 }}>
+                          {["Excluded items", "Not shared with", "Total", ...billRows.map((b) => b.person_name)].map((h, i) => (
+                            <th key={i} style={{ padding: "8px 20px", textAlign: "left", fontWeight: 500, borderBottom: "1px solid var(--border)" }}>{h}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {bill.exclusions.map((x) => (
+                          <tr key={x.excluded.map((p) => p.person_id).join(",")} style={{ borderBottom: "1px solid var(--border)" }}>
+                            <td style={{ padding: "8px 20px" }}>
+                              {x.tags.map((t) => <span key={t} className="tag tag-blue" style={{ marginRight: 6 }}>{t}</span>)}
+                            </td>
+                            <td style={{ padding: "8px 20px", color: "var(--muted)" }}>{x.excluded.map((p) => p.person_name).join(", ")}</td>
+                            <td style={{ padding: "8px 20px" }}>{fmt(x.total)}</td>
+                            {billRows.map((b) => {
+                              const share = x.shares.find((s) => s.person_id === b.person_id);
+                              return <td key={b.person_id} style={{ padding: "8px 20px" }}>{share ? fmt(share.owes) : "—"}</td>;
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {hasWeights && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}>
+                      Each dinner counts for the person's weight, so % is of {bill.totalWeightedDinners} weighted dinners. * = weight set for this cycle only.
+                    </div>
+                  )}
+                  {hasOpening && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}>
+                      Opening balances are what was left unpaid at the end of {bill.openingFrom.label}; Balance includes them.
+                    </div>
+                  )}
+                  {hasPayments && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}>
+                      Payments are settle-up transfers (below): what each person sent others, less what they received. Balance is after them.
+                    </div>
+                  )}
+                  {settlement?.transfers.length > 0 && (
+                    <div style={{ padding: "12px 20px", borderTop: "1px solid var(--border)" }}>
+                      <div style={{ fontWeight: 700, fontSize: 12, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)", marginBottom: 8 }}>Settle Up</div>
+                      {settlement.transfers.map((t) => (
+                        <div key={`${t.from_id}-${t.to_id}`} style={{ display: "flex", gap: 12, alignItems: "center", padding: "4px 0", fontFamily: "var(--font-mono)", fontSize: 13 }}>
+                          <span style={{ flex: 1 }}>{t.from_name} → {t.to_name}</span>
+                          <span style={{ fontWeight: 600 }}>{fmt(t.amount)}</span>
+                          <button className="btn-ghost" style={{ padding: "2px 8px", fontSize: 11 }} title="Record this transfer as a payment"
+                            onClick={() => setPaymentDraft({ payer_id: t.from_id, payee_id: t.to_id, amount: t.amount.toFixed(2), date: todayKey(), method: "e-transfer", note: "" })}>
+                            Record
+                          </button>
+                        </div>
+                      ))}
+                      {settlement.unsettled !== 0 && (
+                        <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent3)", marginTop: 6 }}>
+                          {fmt(settlement.unsettled)} can't be matched because balances don't net to zero.
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {bill?.openingPending && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent3)", background: "#3a2e00" }}>
+                      {bill.openingFrom.label} isn't finalized yet — its unpaid balances carry into this cycle once it is.
+                    </div>
+                  )}
+                  {bill?.ignoredItems?.length > 0 && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent3)", background: "#3a2e00" }}>
+                      Item tags are ignored on split transactions ({bill.ignoredItems.map((t) => `${t.merchant} ${t.date}`).join(", ")}) — tag the split lines instead.
+                    </div>
+                  )}
+                  {bill?.openingUnassigned && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent3)", background: "#3a2e00" }}>
+                      {bill.openingFrom.label} has charges with no payer, so its balances aren't carried — unfinalize it and set "Paid by" to carry them.
+                    </div>
+                  )}
+                  {bill && bill.unassignedTotal !== 0 && (
+                    <div style={{ padding: "10px 20px", fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent3)", background: "#3a2e00" }}>
+                      {fmt(bill.unassignedTotal)} of shared charges has no payer — set "Paid by" in the Transactions tab so balances net to zero.
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Settle-up payments between members */}
+              {people.length > 1 && (
+                <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden", marginTop: 24 }}>
+                  <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                    <span style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Payments</span>
+                    {!paymentDraft && (
+                      <button className="btn-ghost" style={{ fontSize: 12 }}
+                        onClick={() => setPaymentDraft({ payer_id: "", payee_id: "", amount: "", date: todayKey(), method: "e-transfer", note: "" })}>
+                        + Record Payment
+                      </button>
+                    )}
+                  </div>
+                  {paymentDraft && (
+                    <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)" }}>
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 100px 140px 120px", gap: 10, marginBottom: 10 }}>
+                        <select value={paymentDraft.payer_id} onChange={(e) => setPaymentDraft((d) => ({ ...d, payer_id: e.target.value }))}>
+                          <option value="">From…</option>
+                          {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        <select value={paymentDraft.payee_id} onChange={(e) => setPaymentDraft((d) => ({ ...d, payee_id: e.target.value }))}>
+                          <option value="">To…</option>
+                          {people.filter((p) => p.id !== paymentDraft.payer_id).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        <input type="number" min="0" step="0.01" value={paymentDraft.amount} placeholder="$"
+                          onChange={(e) => setPaymentDraft((d) => ({ ...d, amount: e.target.value }))} />
+                        <input type="date" value={paymentDraft.date}
+                          onChange={(e) => setPaymentDraft((d) => ({ ...d, date: e.target.value }))} />
+                        <select value={paymentDraft.method} onChange={(e) => setPaymentDraft((d) => ({ ...d, method: e.target.value }))}>
+                          {PAYMENT_METHODS.map((m) => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                      </div>
+                      <div style={{ display: "flex", gap: 10 }}>
+                        <input value={paymentDraft.note} placeholder="Note (optional)"
+                          onChange={(e) => setPaymentDraft((d) => ({ ...d, note: e.target.value }))} />
+                        <button className="btn-ghost" onClick={() => setPaymentDraft(null)}>Cancel</button>
+                        <button className="btn-primary" onClick={addPayment}
+                          disabled={!paymentDraft.payer_id || !paymentDraft.payee_id || !(Number(paymentDraft.amount) > 0)}>
+                          Save
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  {payments.length === 0 && !paymentDraft && (
+                    <div style={{ padding: "14px 20px", color: "var(--muted)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                      No payments yet. Record e-transfers or cash as people settle up — balances drop as they come in.
+                    </div>
+                  )}
+                  {payments.map((p) => (
+                    <div key={p.id} style={{ display: "flex", gap: 12, alignItems: "center", padding: "10px 20px", borderBottom: "1px solid var(--border)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                      <span style={{ color: "var(--muted)", minWidth: 90 }}>{p.date}</span>
+                      <span style={{ flex: 1 }}>
+                        {p.payer_name} → {p.payee_name}
+                        {p.note && <span style={{ color: "var(--muted)", marginLeft: 10 }}>— {p.note}</span>}
+                      </span>
+                      {p.method && <span className="tag tag-blue">{p.method}</span>}
+                      <span style={{ fontWeight: 600, minWidth: 80, textAlign: "right" }}>{fmt(p.amount)}</span>
+                      <button className="btn-danger" style={{ padding: "2px 8px", fontSize: 10 }} onClick={() => removePayment(p.id)}>✕</button>
+                    </div>
+                  ))}
                 </div>
               )}
             </div>
@@ -653,24 +1549,30 @@ export default function App() {
                     </div>
                   </div>
                   {/* Status tags */}
-                  {plaidConnected && plaidStatus === "idle"    && <span className="tag tag-green">✓ Connected</span>}
+                  {plaidConnected && plaidStatus === "idle" && !plaidItems.some((i) => i.error_code) && <span className="tag tag-green">✓ Connected</span>}
+                  {plaidConnected && plaidStatus === "idle" && plaidItems.some((i) => i.error_code) && <span className="tag tag-red">needs attention</span>}
                   {plaidConnected && plaidStatus === "done"    && <span className="tag tag-green">✓ Synced</span>}
                   {plaidConnected && plaidStatus === "loading" && <span className="tag tag-yellow">syncing…</span>}
                   {plaidConnected && plaidStatus === "error"   && <span className="tag tag-red">sync failed</span>}
                   {!plaidConnected && <span className="tag tag-yellow">not connected</span>}
                   {/* Action buttons */}
                   {plaidConnected
-                    ? <button className="btn-primary" onClick={handlePlaidSync} disabled={plaidStatus === "loading"}>
-                        {plaidStatus === "loading" ? "Syncing…" : "Sync Now"}
-                      </button>
+                    ? <>
+                        <button className="btn-primary" onClick={handlePlaidSync} disabled={plaidStatus === "loading" || cycleFinalized}
+                          title={cycleFinalized ? "This cycle is finalized — open the current cycle to sync" : undefined}>
+                          {plaidStatus === "loading" ? "Syncing…" : "Sync Now"}
+                        </button>
+                        <button className="btn-ghost" onClick={openPlaidImport} title="Import a date range into the cycles covering each date">Import Range</button>
+                        <button className="btn-ghost" onClick={handleConnectBank} title="Link another bank login">+ Bank</button>
+                      </>
                     : <button className="btn-primary" onClick={handleConnectBank}>Connect Bank</button>
                   }
-                  <button className="btn-ghost" onClick={openManualForm}>+ Manual</button>
+                  <button className="btn-ghost" onClick={openManualForm} disabled={cycleFinalized}>+ Manual</button>
                   <button
                     className="btn-ghost"
                     onClick={() => csvFileRef.current?.click()}
                     disabled={csvImporting}
-                    title="Import a CIBC CSV transaction file"
+                    title="Import a CIBC CSV file — each row goes to the cycle covering its date"
                   >
                     {csvImporting ? "Importing…" : "Import CSV"}
                   </button>
@@ -682,63 +1584,237 @@ export default function App() {
                     onChange={handleCsvImport}
                   />
                 </div>
+                {/* Linked items and per-account sync toggles */}
+                {plaidItems.length > 0 && (
+                  <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 8 }}>
+                    {plaidItems.map((item) => (
+                      <div key={item.item_id} style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontFamily: "var(--font-mono)", fontSize: 11 }}>
+                        <span style={{ fontWeight: 600, minWidth: 120 }}>🏦 {item.institution}</span>
+                        {item.accounts.map((a) => (
+                          <label key={a.id} style={{ display: "flex", alignItems: "center", gap: 6, color: a.sync_enabled ? "var(--text)" : "var(--muted)", cursor: "pointer" }}>
+                            <input type="checkbox" checked={!!a.sync_enabled} onChange={(e) => togglePlaidAccount(a.id, e.target.checked)}
+                              style={{ width: 14, height: 14, accentColor: "var(--accent)" }} />
+                            {a.label || "Account"}{a.mask && ` ••${a.mask}`}
+                          </label>
+                        ))}
+                        {item.error_code && (
+                          <span className="tag tag-red" title={item.error_message || item.error_code}>
+                            {item.needs_relink ? "login expired" : item.error_code}
+                          </span>
+                        )}
+                        {item.consent_expires_at && !item.error_code && (
+                          <span className="tag tag-yellow">consent expires {item.consent_expires_at.slice(0, 10)}</span>
+                        )}
+                        <span style={{ color: "var(--muted)", marginLeft: "auto" }}>
+                          {item.last_synced ? `synced ${item.last_synced}` : "never synced"}
+                        </span>
+                        {(item.needs_relink || item.consent_expires_at) && (
+                          <button className="btn-primary" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => handleReconnectBank(item)}>
+                            Reconnect
+                          </button>
+                        )}
+                        <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => handleDisconnectBank(item)}>
+                          Disconnect
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {/* Inline error detail */}
                 {plaidStatus === "error" && plaidSyncError && (
-                  <div style={{ marginTop: 10, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent2)", background: "#3a1a1a", borderRadius: 6, padding: "8px 12px" }}>
+                  <div style={{ marginTop: 10, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent2)", background: "#3a1a1a", borderRadius: 6, padding: "8px 12px", whiteSpace: "pre-line" }}>
                     {plaidSyncError}
                   </div>
                 )}
-                {/* CSV import result */}
-                {csvResult && (
-                  <div style={{ marginTop: 10, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent)", background: "#0d3326", borderRadius: 6, padding: "8px 12px", display: "flex", gap: 16 }}>
-                    <span>✓ CSV imported</span>
-                    <span>Added: <strong>{csvResult.added}</strong></span>
-                    <span>Skipped (duplicate): <strong>{csvResult.skipped}</strong></span>
-                    {csvResult.errors > 0 && <span style={{ color: "var(--accent2)" }}>Parse errors: <strong>{csvResult.errors}</strong></span>}
+                {/* CSV / Plaid range import result */}
+                {importResult && (
+                  <div style={{ marginTop: 10, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--accent)", background: "#0d3326", borderRadius: 6, padding: "8px 12px", display: "flex", gap: 16, flexWrap: "wrap" }}>
+                    <span>✓ {importResult.source} imported</span>
+                    <span>Added: <strong>{importResult.added}</strong></span>
+                    {importResult.queued > 0 && <span>Queued for review: <strong>{importResult.queued}</strong></span>}
+                    {importResult.filtered > 0 && <span>Excluded by rules: <strong>{importResult.filtered}</strong></span>}
+                    <span>Skipped (duplicate): <strong>{importResult.skipped}</strong></span>
+                    {importResult.cycles_created?.length > 0 && (
+                      <span>New cycles: <strong>{importResult.cycles_created.map((c) => c.label).join(", ")}</strong></span>
+                    )}
+                    {importResult.locked_rows?.length > 0 && (
+                      <span style={{ color: "var(--accent3)" }}
+                        title={importResult.locked_rows.map((r) => `${r.date} ${r.merchant} ${fmt(r.amount)} → ${r.cycle_label}`).join("\n")}>
+                        In finalized cycles (not changed): <strong>{importResult.locked_rows.length}</strong>
+                      </span>
+                    )}
+                    {importResult.unfiled > 0 && (
+                      <span style={{ color: "var(--accent3)" }}
+                        title={importResult.unfiled_rows.map((r) => `${r.date} ${r.merchant} ${fmt(r.amount)}`).join("\n")}>
+                        Outside every cycle: <strong>{importResult.unfiled}</strong>
+                      </span>
+                    )}
+                    {importResult.errors > 0 && <span style={{ color: "var(--accent2)" }}>Parse errors: <strong>{importResult.errors}</strong></span>}
                   </div>
                 )}
               </div>
 
+              {/* Review queue: bank rows the grocery filter skipped or wasn't sure about */}
+              {reviewQueue.length > 0 && (
+                <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden", marginBottom: 24 }}>
+                  <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", alignItems: "center", gap: 12 }}>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>
+                        Review Queue ({reviewQueue.length})
+                      </div>
+                      <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginTop: 4, opacity: 0.7 }}>
+                        Bank and CSV rows no grocery rule matched, or a review rule flagged. Accept the ones that were groceries; rejected rows won't come back.
+                      </div>
+                    </div>
+                    <button className="btn-ghost" style={{ fontSize: 11, padding: "6px 12px" }} onClick={rejectAllCandidates} disabled={cycleFinalized}>
+                      Reject All
+                    </button>
+                  </div>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 13 }}>
+                    <tbody>
+                      {reviewQueue.map((c) => (
+                        <tr key={c.id} style={{ borderBottom: "1px solid var(--border)", fontStyle: c.pending ? "italic" : "normal" }}>
+                          <td style={{ padding: "10px 20px", color: "var(--muted)" }}>{c.date}</td>
+                          <td style={{ padding: "10px 20px", fontWeight: 500 }}>
+                            {c.merchant}
+                            {c.category && <div style={{ fontSize: 11, color: "var(--muted)", marginTop: 2 }}>{c.category}</div>}
+                          </td>
+                          <td style={{ padding: "10px 20px", color: c.amount < 0 ? "#6bb8ff" : "var(--accent3)" }}>{fmt(c.amount)}</td>
+                          <td style={{ padding: "10px 20px" }}>
+                            {c.reason === "borderline"
+                              ? <span className="tag tag-yellow" title="Matched a review rule">? Review</span>
+                              : <span className="tag tag-red" title="No grocery rule matched">✕ No match</span>}
+                            {c.source === "csv" && <span className="tag tag-yellow" style={{ marginLeft: 6 }}>📄 CSV</span>}
+                            {c.account_mask && <span className="tag tag-yellow" style={{ marginLeft: 6 }}>••{c.account_mask}</span>}
+                            {!!c.pending && <span className="tag tag-red" style={{ marginLeft: 6 }}>⏳ Pending</span>}
+                          </td>
+                          <td style={{ padding: "10px 20px", whiteSpace: "nowrap", textAlign: "right" }}>
+                            <button className="btn-primary" style={{ padding: "4px 10px", fontSize: 11, marginRight: 8 }}
+                              onClick={() => acceptCandidate(c.id)} disabled={cycleFinalized}>Accept</button>
+                            <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }}
+                              onClick={() => rejectCandidate(c.id)} disabled={cycleFinalized}>Reject</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {splitting && transactions.some((t) => t.id === splitting) && (
+                <SplitEditor key={splitting} transaction={transactions.find((t) => t.id === splitting)}
+                  lines={splits.filter((l) => l.transaction_id === splitting)} pools={pools} people={people}
+                  onSave={(lines) => saveSplits(splitting, lines)} onCancel={() => setSplitting(null)} />
+              )}
+
+              {itemsFor && allEntries.some((e) => e._type === itemsFor._type && e.id === itemsFor.id) && (
+                <ItemsEditor key={`${itemsFor._type}-${itemsFor.id}`}
+                  entry={allEntries.find((e) => e._type === itemsFor._type && e.id === itemsFor.id)}
+                  items={itemsOf(itemsFor)} knownTags={[...new Set([...COMMON_ITEM_TAGS, ...people.flatMap((p) => p.excluded_tags), ...lineItems.flatMap((i) => i.tags)])].sort()}
+                  onAdd={(body) => addItems(itemsFor, body)} onUpdate={updateItem} onDelete={removeItem}
+                  onClose={() => setItemsFor(null)} finalized={cycleFinalized} />
+              )}
+
               {/* Combined transaction + personal receipt list */}
               <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 13 }}>
                   <thead>
                     <tr style={{ color: "var(--muted)", fontSize: 11 }}>
-                      {["✓","Date","Description","Amount","Source",""].map((h) => (
+                      {["✓","Date","Description","Amount","Source","Paid by", ...(hasPools ? ["Pool"] : []), ""].map((h) => (
                         <th key={h} style={{ padding: "10px 20px", textAlign: "left", fontWeight: 500, borderBottom: "1px solid var(--border)" }}>{h}</th>
                       ))}
                     </tr>
                   </thead>
                   <tbody>
                     {allEntries.map((entry) => entry._type === "tx" ? (
-                      <tr key={entry.id} style={{ borderBottom: "1px solid var(--border)", opacity: entry.verified ? 0.6 : 1 }}>
+                      <tr key={entry.id} style={{ borderBottom: "1px solid var(--border)", opacity: entry.verified || entry.pending ? 0.6 : 1, fontStyle: entry.pending ? "italic" : "normal" }}>
                         <td style={{ padding: "12px 20px" }}>
-                          <input type="checkbox" checked={entry.verified} onChange={() => toggleVerified(entry.id)}
+                          <input type="checkbox" checked={entry.verified} onChange={() => toggleVerified(entry.id)} disabled={cycleFinalized}
                             style={{ width: 16, height: 16, accentColor: "var(--accent)" }} />
                         </td>
                         <td style={{ padding: "12px 20px", color: "var(--muted)" }}>{entry.date}</td>
-                        <td style={{ padding: "12px 20px", fontWeight: 500 }}>{entry.label}</td>
-                        <td style={{ padding: "12px 20px", color: "var(--accent3)" }}>{fmt(entry.amount)}</td>
+                        <td style={{ padding: "12px 20px", fontWeight: 500 }}>
+                          {entry.label}
+                          <ItemSummary items={itemsOf(entry)} />
+                          {entry.splitCount > 0 && (
+                            <div style={{ marginTop: 4, fontSize: 11, fontWeight: 400, color: "var(--muted)" }}>
+                              {splits.filter((l) => l.transaction_id === entry.id).map((l) => (
+                                <div key={l.id}>
+                                  ✂ {fmt(l.amount)} → {l.person_id ? `${l.person_name} only` : l.pool_name || "Groceries"}
+                                  {l.note && ` (${l.note})`}
+                                  {l.tags.map((t) => <span key={t} className="tag tag-blue" style={{ marginLeft: 6, fontSize: 10 }}>{t}</span>)}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          {entry.amount < 0 && (
+                            <div style={{ marginTop: 4 }}>
+                              <select value={entry.refundOf || ""} onChange={(e) => linkRefund(entry.id, e.target.value)}
+                                disabled={cycleFinalized} style={{ width: 220, padding: "2px 6px", fontSize: 11 }}>
+                                <option value="">↩ not linked to a purchase</option>
+                                {entry.refundOf && !transactions.some((t) => t.id === entry.refundOf) && (
+                                  <option value={entry.refundOf}>↩ {entry.refundOfLabel}</option>
+                                )}
+                                {transactions.filter((t) => t.amount > 0).map((t) => (
+                                  <option key={t.id} value={t.id}>↩ {t.merchant} {t.date} ({fmt(t.amount)})</option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ padding: "12px 20px", color: entry.amount < 0 ? "#6bb8ff" : "var(--accent3)" }}>{fmt(entry.amount)}</td>
                         <td style={{ padding: "12px 20px" }}>
                           <span className={`tag ${entry.source === "visa" ? "tag-yellow" : entry.source === "csv" ? "tag-yellow" : "tag-green"}`}>
                             {entry.source === "visa" ? "💳 Visa" : entry.source === "csv" ? "📄 CSV" : "🧾 Manual"}
+                            {entry.accountMask && ` ••${entry.accountMask}`}
                           </span>
+                          {entry.amount < 0 && <span className="tag tag-blue" style={{ marginLeft: 6 }}>↩ Refund</span>}
+                          {entry.pending && <span className="tag tag-red" style={{ marginLeft: 6 }} title="Not posted yet — excluded from the bill">⏳ Pending</span>}
                         </td>
                         <td style={{ padding: "12px 20px" }}>
-                          <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => removeTransaction(entry.id)}>Remove</button>
+                          <select value={entry.payerId || ""} onChange={(e) => changePayer(entry.id, e.target.value)}
+                            disabled={cycleFinalized} style={{ width: 130, padding: "4px 8px", fontSize: 12 }}>
+                            <option value="">— nobody —</option>
+                            {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                          </select>
+                        </td>
+                        {hasPools && (
+                          <td style={{ padding: "12px 20px" }}>
+                            <PoolSelect pools={pools} value={entry.poolId} onChange={(v) => changePool(entry, v)} disabled={cycleFinalized} />
+                          </td>
+                        )}
+                        <td style={{ padding: "12px 20px", whiteSpace: "nowrap" }}>
+                          <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11, marginRight: 6 }} onClick={() => setItemsFor(entry)}
+                            title="What this charge bought, item by item">🧾 Items</button>
+                          <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11, marginRight: 6 }} onClick={() => setSplitting(entry.id)}
+                            disabled={cycleFinalized} title="Split into grocery and non-grocery lines">✂ Split</button>
+                          <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => removeTransaction(entry.id)} disabled={cycleFinalized}>Remove</button>
                         </td>
                       </tr>
                     ) : (
                       <tr key={entry.id} style={{ borderBottom: "1px solid var(--border)", background: "rgba(79,255,176,0.03)" }}>
                         <td style={{ padding: "12px 20px", color: "var(--muted)", fontSize: 16 }}>—</td>
                         <td style={{ padding: "12px 20px", color: "var(--muted)" }}>{entry.date}</td>
-                        <td style={{ padding: "12px 20px", fontWeight: 500 }}>{entry.label}</td>
+                        <td style={{ padding: "12px 20px", fontWeight: 500 }}>
+                          {entry.label}
+                          <ItemSummary items={itemsOf(entry)} />
+                        </td>
                         <td style={{ padding: "12px 20px", color: "var(--accent)" }}>{fmt(entry.amount)}</td>
                         <td style={{ padding: "12px 20px" }}>
-                          <span className="tag tag-green">👤 {entry.personName}</span>
+                          <span className="tag tag-green">🧾 Receipt</span>
                         </td>
                         <td style={{ padding: "12px 20px" }}>
-                          <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => removeReceipt(entry.id)}>Remove</button>
+                          <span className="tag tag-green">👤 {entry.personName}</span>
+                        </td>
+                        {hasPools && (
+                          <td style={{ padding: "12px 20px" }}>
+                            <PoolSelect pools={pools} value={entry.poolId} onChange={(v) => changePool(entry, v)} disabled={cycleFinalized} />
+                          </td>
+                        )}
+                        <td style={{ padding: "12px 20px", whiteSpace: "nowrap" }}>
+                          <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11, marginRight: 6 }} onClick={() => setItemsFor(entry)}
+                            title="What this receipt bought, item by item">🧾 Items</button>
+                          <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => removeReceipt(entry.id)} disabled={cycleFinalized}>Remove</button>
                         </td>
                       </tr>
                     ))}
@@ -751,12 +1827,112 @@ export default function App() {
                   <span style={{ color: "var(--muted)" }}>
                     {receipts.length} out-of-pocket
                   </span>
+                  {pendingTransactions.length > 0 && (
+                    <span style={{ color: "var(--accent2)" }}>
+                      {pendingTransactions.length} pending (excluded)
+                    </span>
+                  )}
                   <span style={{ fontWeight: 700, color: "var(--accent)" }}>Shared total: {fmt(totalGroceries)}</span>
                 </div>
               </div>
             </div>
           )}
 
+          {/* ── RULES TAB ── */}
+          {tab === "rules" && (
+            <div className="fade-in">
+              <SectionHeader title="Grocery Rules" subtitle="Which bank and CSV transactions count as groceries" />
+              <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 20, lineHeight: 1.6 }}>
+                A rule matches when all of its conditions hold (text is case-insensitive; amounts ignore the sign).
+                Exclude beats include beats review. Include imports the row, exclude drops it, and review — or no match at all — sends it to the review queue.
+              </div>
+
+              {/* New rule form */}
+              <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, padding: "16px 20px", marginBottom: 24 }}>
+                <div style={{ display: "grid", gridTemplateColumns: "110px 1fr 1fr 1fr 90px 90px", gap: 10, marginBottom: 10 }}>
+                  <select value={ruleDraft.action} onChange={(e) => setRuleDraft((d) => ({ ...d, action: e.target.value }))}>
+                    <option value="include">Include</option>
+                    <option value="review">Review</option>
+                    <option value="exclude">Exclude</option>
+                  </select>
+                  <input value={ruleDraft.merchant_contains} placeholder="Merchant contains"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, merchant_contains: e.target.value }))} />
+                  <input value={ruleDraft.merchant_regex} placeholder="Merchant regex"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, merchant_regex: e.target.value }))} />
+                  <input value={ruleDraft.category} placeholder="Plaid category contains"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, category: e.target.value }))} />
+                  <input type="number" min="0" step="0.01" value={ruleDraft.min_amount} placeholder="Min $"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, min_amount: e.target.value }))} />
+                  <input type="number" min="0" step="0.01" value={ruleDraft.max_amount} placeholder="Max $"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, max_amount: e.target.value }))} />
+                </div>
+                <div style={{ display: "flex", gap: 10 }}>
+                  <input value={ruleDraft.note} placeholder="Note (optional)"
+                    onChange={(e) => setRuleDraft((d) => ({ ...d, note: e.target.value }))} />
+                  <button className="btn-ghost" onClick={() => testRule(ruleBody(ruleDraft), "New rule")}>Test</button>
+                  <button className="btn-primary" onClick={addRule}>Add Rule</button>
+                </div>
+              </div>
+
+              {/* Rule list */}
+              <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden" }}>
+                {rules.length === 0 && (
+                  <div style={{ padding: "14px 20px", color: "var(--muted)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                    No rules yet — every transaction will wait in the review queue.
+                  </div>
+                )}
+                {rules.map((r) => (
+                  <div key={r.id} style={{ display: "flex", gap: 12, alignItems: "center", padding: "10px 20px", borderBottom: "1px solid var(--border)", fontFamily: "var(--font-mono)", fontSize: 12, opacity: r.enabled ? 1 : 0.5 }}>
+                    <input type="checkbox" checked={!!r.enabled} onChange={(e) => updateRule(r.id, { enabled: e.target.checked })}
+                      title="Enabled" style={{ width: 14, height: 14, accentColor: "var(--accent)" }} />
+                    <span className={`tag ${r.action === "include" ? "tag-green" : r.action === "exclude" ? "tag-red" : "tag-yellow"}`}
+                      style={{ minWidth: 70, textAlign: "center" }}>
+                      {r.action}
+                    </span>
+                    <span style={{ flex: 1 }}>
+                      {describeRule(r)}
+                      {r.note && <span style={{ color: "var(--muted)", marginLeft: 10 }}>— {r.note}</span>}
+                    </span>
+                    <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11 }}
+                      onClick={() => testRule(r, describeRule(r))}>Test</button>
+                    <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }}
+                      onClick={() => removeRule(r.id)}>Delete</button>
+                  </div>
+                ))}
+              </div>
+
+              {/* Test results */}
+              {ruleTest && (
+                <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden", marginTop: 24 }}>
+                  <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", alignItems: "center", gap: 12 }}>
+                    <div style={{ flex: 1, fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                      <strong>{ruleTest.label}</strong> matches {ruleTest.count} past transaction{ruleTest.count === 1 ? "" : "s"}
+                      {ruleTest.count > ruleTest.matches.length && ` (showing the latest ${ruleTest.matches.length})`}
+                    </div>
+                    <button className="btn-ghost" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => setRuleTest(null)}>✕</button>
+                  </div>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                    <tbody>
+                      {ruleTest.matches.map((m) => (
+                        <tr key={m.id} style={{ borderBottom: "1px solid var(--border)" }}>
+                          <td style={{ padding: "8px 20px", color: "var(--muted)" }}>{m.date}</td>
+                          <td style={{ padding: "8px 20px" }}>{m.merchant}</td>
+                          <td style={{ padding: "8px 20px" }}>{fmt(m.amount)}</td>
+                          <td style={{ padding: "8px 20px", color: "var(--muted)" }}>{m.cycle_label}</td>
+                          <td style={{ padding: "8px 20px" }}>
+                            <span className={`tag ${m.kind === "transaction" ? "tag-green" : "tag-yellow"}`}>
+                              {m.kind === "transaction" ? "imported" : m.kind === "candidate:open" ? "in review" : "rejected"}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* ── PEOPLE TAB ── */}
           {tab === "people" && (
             <div className="fade-in">
@@ -774,11 +1950,83 @@ export default function App() {
                     <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}>
                       {receipts.filter((r) => r.personId === p.id).length} receipts this cycle
                     </div>
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}
+                      title="How much each dinner counts toward the split — e.g. 0.5 for a child's portion">
+                      Dinner weight
+                      <input key={p.dinner_weight} type="number" min="0" step="0.25" defaultValue={p.dinner_weight}
+                        onBlur={(e) => e.target.value !== "" && Number(e.target.value) !== p.dinner_weight && changeDinnerWeight(p.id, e.target.value)}
+                        style={{ width: 70, padding: "4px 8px", fontSize: 12 }} />
+                    </label>
+                    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}
+                      title="Items tagged with these are shared among everyone else — e.g. meat for a vegetarian">
+                      Doesn't pay for
+                      <input key={p.excluded_tags.join(",")} defaultValue={p.excluded_tags.join(", ")} placeholder="e.g. meat, alcohol"
+                        onBlur={(e) => e.target.value !== p.excluded_tags.join(", ") && changeExcludedTags(p.id, e.target.value)}
+                        style={{ padding: "4px 8px", fontSize: 12 }} />
+                    </label>
                     <button className="btn-danger" style={{ fontSize: 11, padding: "6px 12px", marginTop: "auto" }}
                       onClick={() => removePerson(p.id)}>Remove</button>
                   </div>
                 ))}
               </div>
+
+              {/* Card & account registry */}
+              <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, overflow: "hidden", marginTop: 28 }}>
+                <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)" }}>
+                  <div style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Cards &amp; Accounts</div>
+                  <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginTop: 4, opacity: 0.7 }}>
+                    Imported rows are credited to the card's owner. New cards from CSV imports and linked banks appear here automatically.
+                  </div>
+                </div>
+                {accounts.length === 0 && (
+                  <div style={{ padding: "14px 20px", color: "var(--muted)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                    No cards registered yet.
+                  </div>
+                )}
+                {accounts.map((a) => (
+                  <div key={a.id} style={{ display: "flex", gap: 12, alignItems: "center", padding: "10px 20px", borderBottom: "1px solid var(--border)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                    <span className="tag tag-yellow" style={{ minWidth: 110, textAlign: "center" }}>
+                      {a.kind === "plaid" ? "🏦" : "💳"} {a.card_number || `••${a.mask || "????"}`}
+                    </span>
+                    <input defaultValue={a.label || ""} placeholder="Label (e.g. Alex's Visa)"
+                      onBlur={(e) => e.target.value !== (a.label || "") && updateAccount(a.id, { label: e.target.value })}
+                      style={{ flex: 1, padding: "4px 8px", fontSize: 12 }} />
+                    <select value={a.person_id || ""} onChange={(e) => updateAccount(a.id, { person_id: e.target.value || null })}
+                      style={{ width: 150, padding: "4px 8px", fontSize: 12 }}>
+                      <option value="">— no owner —</option>
+                      {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                    <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => removeAccount(a.id)}>Remove</button>
+                  </div>
+                ))}
+                <div style={{ display: "flex", gap: 8, padding: "12px 20px" }}>
+                  <input value={newCardNumber} onChange={(e) => setNewCardNumber(e.target.value)}
+                    placeholder="Card number as on statement, e.g. 4500********6473"
+                    onKeyDown={(e) => e.key === "Enter" && addCard()} style={{ maxWidth: 340 }} />
+                  <button className="btn-ghost" onClick={addCard}>Add Card</button>
+                </div>
+              </div>
+
+              {/* Default payer per source */}
+              <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, padding: "18px 20px", marginTop: 28 }}>
+                <div style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>Default Payer</div>
+                <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginTop: 4, marginBottom: 14, opacity: 0.7 }}>
+                  New transactions are credited to this person unless you pick someone else in the Transactions tab. Choosing one also credits them on this source's transactions in open cycles that have no payer yet.
+                </div>
+                <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+                  {payerDefaults.map((d) => (
+                    <div key={d.source} style={{ minWidth: 180 }}>
+                      <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 4 }}>
+                        {d.source === "visa" ? "💳 Visa (Plaid)" : d.source === "csv" ? "📄 CSV import" : "🧾 Manual entry"}
+                      </div>
+                      <select value={d.person_id || ""} onChange={(e) => changePayerDefault(d.source, e.target.value)}>
+                        <option value="">— nobody —</option>
+                        {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
             </div>
           )}
 
@@ -786,6 +2034,19 @@ export default function App() {
           {tab === "history" && (
             <div className="fade-in">
               <SectionHeader title="Billing History" subtitle="Past monthly cycles stored for reference" />
+              {/* Household ledger: everyone's net position across all cycles */}
+              {ledger?.balances.length > 0 && (
+                <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 10, padding: "14px 24px", marginBottom: 16 }}>
+                  <div style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)", marginBottom: 10 }}>Household Balances</div>
+                  <div style={{ display: "flex", gap: 10, flexWrap: "wrap", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+                    {ledger.balances.map((b) => (
+                      <span key={b.person_id} className={`tag ${b.balance <= 0 ? "tag-green" : "tag-red"}`}>
+                        {b.person_name}: {b.balance <= 0 ? `credit ${fmt(Math.abs(b.balance))}` : `owes ${fmt(b.balance)}`}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
               <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
                 {allCycles.length === 0 && (
                   <div style={{ color: "var(--muted)", fontFamily: "var(--font-mono)", fontSize: 13 }}>
@@ -794,12 +2055,23 @@ export default function App() {
                 )}
                 {allCycles.map((h) => {
                   const isActive = h.id === cycleId;
+                  const entry = ledger?.cycles.find((c) => c.cycle_id === h.id);
+                  const closing = entry ? entry.rows.filter((r) => r.closing_balance !== 0) : [];
                   return (
                     <div key={h.id} style={{ background: "var(--surface)", border: `1px solid ${isActive ? "var(--accent)" : "var(--border)"}`, borderRadius: 10, padding: "18px 24px", display: "flex", alignItems: "center", gap: 20 }}>
                       <div style={{ fontWeight: 800, fontSize: 16, minWidth: 160 }}>{h.label}</div>
                       <div style={{ flex: 1, display: "flex", gap: 8, alignItems: "center", fontFamily: "var(--font-mono)", fontSize: 12 }}>
                         {h.finalized ? <span className="tag tag-green">finalized</span> : <span className="tag tag-yellow">open</span>}
+                        {entry?.settled && <span className="tag tag-green">settled</span>}
+                        {h.finalized && entry?.unassigned && (
+                          <span className="tag tag-yellow" title="Some charges have no payer, so its balances aren't carried or counted">no payer</span>
+                        )}
                         {isActive && <span className="tag" style={{ background: "#0d1e33", color: "var(--accent)", border: "1px solid var(--accent)" }}>active</span>}
+                        {closing.length > 0 && (
+                          <span style={{ color: "var(--muted)" }} title="Closing balances carried into the next cycle">
+                            {closing.map((r) => `${r.person_name} ${fmt(r.closing_balance)}`).join(" · ")}
+                          </span>
+                        )}
                       </div>
                       <button className="btn-ghost" style={{ fontSize: 11 }} onClick={() => viewHistoryCycle(h.id)}>Summary</button>
                       <button
@@ -817,24 +2089,41 @@ export default function App() {
         </main>
       </div>
       {historyView && <HistoryModal detail={historyView} onClose={() => setHistoryView(null)} />}
+      {mockLink && (
+        <MockLinkModal
+          institutions={mockLink}
+          onSuccess={(public_token, metadata) => { setMockLink(null); finishLink(public_token, metadata); }}
+          onClose={() => setMockLink(null)}
+        />
+      )}
       {showManualForm && (
         <ManualTransactionModal
           merchant={manualMerchant}
           amount={manualAmount}
           date={manualDate}
+          refund={manualRefund}
           onMerchantChange={setManualMerchant}
           onAmountChange={setManualAmount}
           onDateChange={setManualDate}
+          onRefundChange={setManualRefund}
           onSubmit={submitManualTransaction}
           onClose={() => setShowManualForm(false)}
         />
       )}
-      {showNewCycle && (
-        <NewCycleModal
-          defaultMonth={newCycleMonth}
-          onMonthChange={setNewCycleMonth}
-          onCreate={handleCreateCycle}
-          onClose={() => setShowNewCycle(false)}
+      {plaidImport && (
+        <PlaidImportModal
+          form={plaidImport}
+          onChange={(patch) => setPlaidImport((f) => ({ ...f, ...patch }))}
+          onSubmit={handlePlaidImport}
+          onClose={() => setPlaidImport(null)}
+        />
+      )}
+      {cycleForm && (
+        <CyclePeriodModal
+          form={cycleForm}
+          onChange={(patch) => setCycleForm((f) => ({ ...f, ...patch }))}
+          onSubmit={handleSaveCycle}
+          onClose={() => setCycleForm(null)}
         />
       )}
     </>
@@ -842,7 +2131,7 @@ export default function App() {
 }
 
 // ── Sub-components ──────────────────────────────────────────────────────────
-function ManualTransactionModal({ merchant, amount, date, onMerchantChange, onAmountChange, onDateChange, onSubmit, onClose }) {
+function ManualTransactionModal({ merchant, amount, date, refund, onMerchantChange, onAmountChange, onDateChange, onRefundChange, onSubmit, onClose }) {
   return (
     <div
       style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000 }}
@@ -869,9 +2158,14 @@ function ManualTransactionModal({ merchant, amount, date, onMerchantChange, onAm
             <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 4 }}>Date</div>
             <input type="date" value={date} onChange={(e) => onDateChange(e.target.value)} />
           </div>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "var(--font-mono)", fontSize: 12, color: "var(--muted)", cursor: "pointer" }}>
+            <input type="checkbox" checked={refund} onChange={(e) => onRefundChange(e.target.checked)}
+              style={{ width: 16, height: 16, accentColor: "var(--accent)" }} />
+            This is a refund / credit (reduces the total)
+          </label>
         </div>
         <div style={{ display: "flex", gap: 10 }}>
-          <button className="btn-primary" onClick={onSubmit} disabled={!merchant.trim() || !amount}>Add Transaction</button>
+          <button className="btn-primary" onClick={onSubmit} disabled={!merchant.trim() || !amount}>{refund ? "Add Refund" : "Add Transaction"}</button>
           <button className="btn-ghost" onClick={onClose}>Cancel</button>
         </div>
       </div>
@@ -879,28 +2173,168 @@ function ManualTransactionModal({ merchant, amount, date, onMerchantChange, onAm
   );
 }
 
-function NewCycleModal({ defaultMonth, onMonthChange, onCreate, onClose }) {
+function CyclePeriodModal({ form, onChange, onSubmit, onClose }) {
+  const isNew = form.mode === "new";
+  const fieldLabel = { fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 4 };
+  const end = periodEndPreview(form);
+  const ready = form.period_type === "month" ? !!form.month : !!form.date_from && !!end;
   return (
     <div
       style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000 }}
       onClick={onClose}
     >
       <div
-        style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 14, padding: 28, width: 340 }}
+        style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 14, padding: 28, width: 360 }}
         onClick={(e) => e.stopPropagation()}
       >
-        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 6 }}>New Billing Cycle</div>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 6 }}>{isNew ? "New Billing Cycle" : "Edit Cycle Period"}</div>
         <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 20 }}>
-          Choose a month to create a billing cycle for.
+          {isNew
+            ? "Choose the period this billing cycle covers. It can't overlap another cycle."
+            : "Transactions already in this cycle stay in it, even if their date falls outside the new period."}
         </div>
-        <input
-          type="month"
-          value={defaultMonth}
-          onChange={(e) => onMonthChange(e.target.value)}
-          style={{ marginBottom: 20 }}
-        />
+        <div style={{ display: "flex", flexDirection: "column", gap: 12, marginBottom: 20 }}>
+          <div>
+            <div style={fieldLabel}>Period</div>
+            <select value={form.period_type} onChange={(e) => onChange({ period_type: e.target.value })}>
+              {PERIOD_TYPES.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+          </div>
+          {form.period_type === "month" ? (
+            <div>
+              <div style={fieldLabel}>Month</div>
+              <input type="month" value={form.month} onChange={(e) => onChange({ month: e.target.value })} />
+            </div>
+          ) : (
+            <div>
+              <div style={fieldLabel}>{form.period_type === "statement" ? "Statement start (day 1–28)" : "Start date"}</div>
+              <input type="date" value={form.date_from} onChange={(e) => onChange({ date_from: e.target.value })} />
+            </div>
+          )}
+          {form.period_type === "custom" && (
+            <div>
+              <div style={fieldLabel}>End date</div>
+              <input type="date" value={form.date_to} onChange={(e) => onChange({ date_to: e.target.value })} />
+            </div>
+          )}
+          {(form.period_type === "statement" || form.period_type === "biweekly") && end && (
+            <div style={fieldLabel}>Runs {form.date_from} → {end}</div>
+          )}
+          <div>
+            <div style={fieldLabel}>Name (optional)</div>
+            <input placeholder={isNew ? "From the dates" : "Keep current"} value={form.label} onChange={(e) => onChange({ label: e.target.value })} />
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button className="btn-primary" onClick={onSubmit} disabled={!ready}>{isNew ? "Create Cycle" : "Save Period"}</button>
+          <button className="btn-ghost" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PlaidImportModal({ form, onChange, onSubmit, onClose }) {
+  const fieldLabel = { fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 4 };
+  const ready = !!form.start_date && !!form.end_date && form.start_date <= form.end_date && !form.busy;
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000 }}
+      onClick={onClose}
+    >
+      <div
+        style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 14, padding: 28, width: 360 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 6 }}>Import Bank History</div>
+        <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 20 }}>
+          Every linked bank's transactions in the range are filed into the cycle covering their date. Finalized cycles are left alone.
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 12, marginBottom: 20 }}>
+          <div>
+            <div style={fieldLabel}>From</div>
+            <input type="date" value={form.start_date} onChange={(e) => onChange({ start_date: e.target.value })} />
+          </div>
+          <div>
+            <div style={fieldLabel}>To</div>
+            <input type="date" value={form.end_date} onChange={(e) => onChange({ end_date: e.target.value })} />
+          </div>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "var(--font-mono)", fontSize: 12, cursor: "pointer" }}>
+            <input type="checkbox" checked={form.create_missing} onChange={(e) => onChange({ create_missing: e.target.checked })}
+              style={{ width: 14, height: 14, accentColor: "var(--accent)" }} />
+            Create cycles for dates no cycle covers
+          </label>
+        </div>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button className="btn-primary" onClick={onSubmit} disabled={!ready}>{form.busy ? "Importing…" : "Import"}</button>
+          <button className="btn-ghost" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Stand-in for Plaid Link when the API runs with PLAID_ENV=mock. Hands back
+// the same (public_token, metadata) pair Link's onSuccess would; the nonce in
+// the token becomes part of every account id, so it's chosen here.
+function MockLinkModal({ institutions, onSuccess, onClose }) {
+  const [instId, setInstId] = useState(institutions[0]?.id || null);
+  const inst = institutions.find((i) => i.id === instId);
+  const [selected, setSelected] = useState(() => new Set(inst ? inst.accounts.map((a) => a.id) : []));
+
+  const pickInstitution = (id) => {
+    setInstId(id);
+    setSelected(new Set(institutions.find((i) => i.id === id).accounts.map((a) => a.id)));
+  };
+
+  const toggle = (id) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const connect = () => {
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(4)), (b) => b.toString(16).padStart(2, "0")).join("");
+    onSuccess(`public-mock-${inst.id}-${nonce}`, {
+      institution: { name: inst.name, institution_id: `mock-${inst.id}` },
+      accounts: inst.accounts.filter((a) => selected.has(a.id)).map((a) => ({ id: `mock-${nonce}-${a.id}`, name: a.name, mask: a.mask })),
+    });
+  };
+
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000 }}
+      onClick={onClose}
+    >
+      <div
+        style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 14, padding: 28, width: 380 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 6 }}>Connect a Mock Bank</div>
+        <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginBottom: 20 }}>
+          PLAID_ENV=mock — institutions and transactions come from the fixture files in lib/plaid-fixtures/.
+        </div>
+        {institutions.length === 0 && (
+          <div style={{ fontFamily: "var(--font-mono)", fontSize: 12, color: "var(--accent2)", marginBottom: 20 }}>No fixture files found.</div>
+        )}
+        {institutions.length > 0 && (
+          <>
+            <select value={instId || ""} onChange={(e) => pickInstitution(e.target.value)} style={{ marginBottom: 14 }}>
+              {institutions.map((i) => <option key={i.id} value={i.id}>{i.name}</option>)}
+            </select>
+            <div style={{ display: "flex", flexDirection: "column", gap: 8, marginBottom: 20 }}>
+              {inst?.accounts.map((a) => (
+                <label key={a.id} style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "var(--font-mono)", fontSize: 12, cursor: "pointer" }}>
+                  <input type="checkbox" checked={selected.has(a.id)} onChange={() => toggle(a.id)}
+                    style={{ width: 14, height: 14, accentColor: "var(--accent)" }} />
+                  {a.name} ••{a.mask}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
         <div style={{ display: "flex", gap: 10 }}>
-          <button className="btn-primary" onClick={onCreate}>Create Cycle</button>
+          <button className="btn-primary" onClick={connect} disabled={!inst || selected.size === 0}>Continue</button>
           <button className="btn-ghost" onClick={onClose}>Cancel</button>
         </div>
       </div>
@@ -908,9 +2342,21 @@ function NewCycleModal({ defaultMonth, onMonthChange, onCreate, onClose }) {
   );
 }
 
+// Finalized cycles show the bill frozen at their latest finalize; earlier
+// versions and (for reopened cycles) the live figures can be picked too.
 function HistoryModal({ detail, onClose }) {
-  const { cycle, bill } = detail;
-  const { total, totalDinners, billRows } = bill;
+  const { cycle, snapshots } = detail;
+  const [version, setVersion] = useState(cycle.finalized && snapshots.length > 0 ? snapshots[0].version : "live");
+  const snapshot = snapshots.find((s) => s.version === version) || null;
+  const { total, totalDinners, billRows } = snapshot ? snapshot.bill : detail.bill;
+  // Snapshots taken before balances carried forward have no opening/closing
+  const hasOpening = billRows.some((b) => (b.opening_balance || 0) !== 0);
+  // Bills from before dinner weights have none; every dinner counted as 1
+  const hasWeights = billRows.some((b) => (b.weight ?? 1) !== 1);
+  const hasPersonal = billRows.some((b) => b.personal);
+  const hasExcluded = billRows.some((b) => b.excluded_amount);
+  const closing = (b) => b.closing_balance ?? b.balance;
+  const diffLines = snapshot?.diff ? describeSnapshotDiff(snapshot.diff) : [];
 
   return (
     <div
@@ -924,15 +2370,33 @@ function HistoryModal({ detail, onClose }) {
         {/* Modal header */}
         <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between", marginBottom: 20 }}>
           <div>
-            <div style={{ fontSize: 20, fontWeight: 800 }}>{cycle.label}</div>
+            <div style={{ fontSize: 20, fontWeight: 800 }}>{(snapshot?.cycle || cycle).label}</div>
             <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)", marginTop: 3 }}>
               {cycle.date_from} → {cycle.date_to}
               {cycle.finalized ? <span className="tag tag-green" style={{ marginLeft: 10 }}>finalized</span> : <span className="tag tag-yellow" style={{ marginLeft: 10 }}>open</span>}
+              {snapshot && <span style={{ marginLeft: 10 }}>version {snapshot.version}, frozen {snapshot.created_at}</span>}
             </div>
           </div>
           <button className="btn-ghost" style={{ fontSize: 12 }} onClick={onClose}>✕ Close</button>
         </div>
 
+        {/* Version picker */}
+        {snapshots.length > 0 && (
+          <div style={{ display: "flex", gap: 8, marginBottom: 16, flexWrap: "wrap" }}>
+            {!cycle.finalized && (
+              <button className={version === "live" ? "btn-primary" : "btn-ghost"} style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => setVersion("live")}>
+                Live
+              </button>
+            )}
+            {snapshots.map((s) => (
+              <button key={s.version} className={version === s.version ? "btn-primary" : "btn-ghost"} style={{ padding: "4px 10px", fontSize: 11 }}
+                onClick={() => setVersion(s.version)}>
+                v{s.version}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Summary cards */}
         <div style={{ display: "flex", gap: 16, marginBottom: 20 }}>
           {[
@@ -951,7 +2415,7 @@ function HistoryModal({ detail, onClose }) {
           <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "var(--font-mono)", fontSize: 13 }}>
             <thead>
               <tr style={{ color: "var(--muted)", fontSize: 11 }}>
-                {["Person", "Dinners", "%", "Owes", "Paid", "Balance"].map((h) => (
+                {["Person", ...(hasOpening ? ["Opening"] : []), "Dinners", ...(hasWeights ? ["Weight"] : []), "%", ...(hasPersonal ? ["Personal"] : []), ...(hasExcluded ? ["Excluded"] : []), "Owes", "Paid (shared)", "Paid (receipts)", "Balance"].map((h) => (
                   <th key={h} style={{ padding: "8px 12px", textAlign: "left", fontWeight: 500, borderBottom: "1px solid var(--border)" }}>{h}</th>
                 ))}
               </tr>
@@ -960,13 +2424,18 @@ function HistoryModal({ detail, onClose }) {
               {billRows.map((b) => (
                 <tr key={b.person_id} style={{ borderBottom: "1px solid var(--border)" }}>
                   <td style={{ padding: "10px 12px", fontWeight: 600 }}>{b.person_name}</td>
+                  {hasOpening && <td style={{ padding: "10px 12px", color: "var(--muted)" }}>${Number(b.opening_balance || 0).toFixed(2)}</td>}
                   <td style={{ padding: "10px 12px" }}>{b.dinner_count}</td>
+                  {hasWeights && <td style={{ padding: "10px 12px", color: "var(--muted)" }}>×{b.weight ?? 1}</td>}
                   <td style={{ padding: "10px 12px" }}>{b.pct.toFixed(1)}%</td>
+                  {hasPersonal && <td style={{ padding: "10px 12px", color: "var(--muted)" }}>${Number(b.personal).toFixed(2)}</td>}
+                  {hasExcluded && <td style={{ padding: "10px 12px", color: "var(--muted)" }}>${Number(b.excluded_amount || 0).toFixed(2)}</td>}
                   <td style={{ padding: "10px 12px" }}>${Number(b.owes).toFixed(2)}</td>
-                  <td style={{ padding: "10px 12px", color: "var(--accent)" }}>${Number(b.paid).toFixed(2)}</td>
+                  <td style={{ padding: "10px 12px", color: "var(--accent)" }}>${Number(b.paid_shared).toFixed(2)}</td>
+                  <td style={{ padding: "10px 12px", color: "var(--accent)" }}>${Number(b.paid_receipts).toFixed(2)}</td>
                   <td style={{ padding: "10px 12px" }}>
-                    <span className={`tag ${b.balance <= 0 ? "tag-green" : "tag-red"}`}>
-                      {b.balance <= 0 ? `credit $${Math.abs(b.balance).toFixed(2)}` : `$${Number(b.balance).toFixed(2)}`}
+                    <span className={`tag ${closing(b) <= 0 ? "tag-green" : "tag-red"}`}>
+                      {closing(b) <= 0 ? `credit $${Math.abs(closing(b)).toFixed(2)}` : `$${Number(closing(b)).toFixed(2)}`}
                     </span>
                   </td>
                 </tr>
@@ -976,6 +2445,18 @@ function HistoryModal({ detail, onClose }) {
         ) : (
           <div style={{ color: "var(--muted)", fontFamily: "var(--font-mono)", fontSize: 13 }}>No billing data recorded for this cycle.</div>
         )}
+
+        {/* What changed since the previous finalize */}
+        {snapshot?.diff && (
+          <div style={{ marginTop: 20, fontFamily: "var(--font-mono)", fontSize: 12 }}>
+            <div style={{ fontSize: 11, color: "var(--muted)", textTransform: "uppercase", letterSpacing: 1, marginBottom: 8 }}>
+              Changes since version {snapshot.diff.from_version}
+            </div>
+            {diffLines.length > 0
+              ? diffLines.map((line, i) => <div key={i} style={{ padding: "3px 0" }}>{line}</div>)
+              : <div style={{ color: "var(--muted)" }}>No changes.</div>}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -990,7 +2471,7 @@ function SectionHeader({ title, subtitle }) {
   );
 }
 
-function PersonRow({ person, billData, dinnerVal, onDinnerChange, receipts, onAddReceipt, onRemoveReceipt, finalized }) {
+function PersonRow({ person, billData, dinnerVal, onDinnerChange, weightOverride, onWeightChange, receipts, onAddReceipt, onRemoveReceipt, finalized }) {
   const [showReceipts, setShowReceipts] = useState(false);
   const [rAmt, setRAmt] = useState("");
   const [rNote, setRNote] = useState("");
@@ -1042,19 +2523,33 @@ function PersonRow({ person, billData, dinnerVal, onDinnerChange, receipts, onAd
           >+</button>
         </div>
 
+        {/* Weight for this cycle — blank uses the person's default */}
+        <label style={{ display: "flex", alignItems: "center", gap: 4, fontFamily: "var(--font-mono)", fontSize: 11, color: "var(--muted)" }}
+          title={`Dinner weight this cycle (default ×${person.dinner_weight}); leave blank for the default`}>
+          ×
+          <input key={weightOverride ?? "default"} type="number" min="0" step="0.25" disabled={finalized}
+            defaultValue={weightOverride ?? ""} placeholder={String(person.dinner_weight)}
+            onBlur={(e) => {
+              const value = e.target.value;
+              if (value === "" ? weightOverride !== undefined : Number(value) !== weightOverride) onWeightChange(value);
+            }}
+            style={{ width: 56, padding: "4px 6px", fontSize: 12 }} />
+        </label>
+
         <div style={{ flex: 1 }} />
 
         {/* Bill preview — shows once dinners > 0 */}
-        {billData && billData.dinners > 0 && (
+        {billData && billData.dinner_count > 0 && (
           <>
             <span style={{ fontFamily: "var(--font-mono)", fontSize: 12, color: "var(--muted)" }}>
-              {(billData.pct * 100).toFixed(1)}%{" "}
+              {billData.pct.toFixed(1)}%{" "}
               <span style={{ color: "var(--text)" }}>→ ${billData.owes.toFixed(2)}</span>
             </span>
-            <span className={`tag ${billData.balance <= 0 ? "tag-green" : "tag-red"}`} style={{ fontSize: 12 }}>
-              {billData.balance <= 0
-                ? `✓ credit $${Math.abs(billData.balance).toFixed(2)}`
-                : `owes $${billData.balance.toFixed(2)}`}
+            <span className={`tag ${billData.closing_balance <= 0 ? "tag-green" : "tag-red"}`} style={{ fontSize: 12 }}
+              title={billData.opening_balance !== 0 ? `Includes ${fmt(billData.opening_balance)} carried from the previous cycle` : undefined}>
+              {billData.closing_balance <= 0
+                ? `✓ credit $${Math.abs(billData.closing_balance).toFixed(2)}`
+                : `owes $${billData.closing_balance.toFixed(2)}`}
             </span>
           </>
         )}
@@ -1094,3 +2589,270 @@ function PersonRow({ person, billData, dinnerVal, onDinnerChange, receipts, onAd
     </div>
   );
 }
+
+function PoolSelect({ pools, value, onChange, disabled }) {
+  return (
+    <select value={value || ""} onChange={(e) => onChange(e.target.value)} disabled={disabled}
+      style={{ width: 130, padding: "4px 8px", fontSize: 12 }}>
+      {pools.map((p) => <option key={p.id || "default"} value={p.id || ""}>{p.name}</option>)}
+    </select>
+  );
+}
+
+// One expense pool: its split basis and, for fixed and days pools, a value per person
+function PoolRow({ pool, people, onSave, onDelete, finalized }) {
+  const initialShares = () => Object.fromEntries(pool.shares.map((s) => [s.person_id, String(s.value)]));
+  const [basis, setBasis] = useState(pool.basis);
+  const [shares, setShares] = useState(initialShares);
+  const [dirty, setDirty] = useState(false);
+  const needsShares = basis === "fixed" || basis === "days";
+  const fixedTotal = Object.values(shares).reduce((s, v) => s + (Number(v) || 0), 0);
+
+  const save = async () => {
+    const body = { basis };
+    if (needsShares) {
+      body.shares = people.map((p) => ({ person_id: p.id, value: Number(shares[p.id]) || 0 })).filter((s) => s.value > 0);
+    }
+    if (await onSave(pool.id, body)) setDirty(false);
+  };
+
+  if (!pool.id) {
+    return (
+      <div style={{ display: "flex", gap: 12, alignItems: "center", padding: "10px 20px", borderBottom: "1px solid var(--border)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+        <span style={{ fontWeight: 700, minWidth: 140 }}>{pool.name}</span>
+        <span style={{ color: "var(--muted)", flex: 1 }}>{POOL_BASES.dinners} — anything not assigned to another pool</span>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: "10px 20px", borderBottom: "1px solid var(--border)", fontFamily: "var(--font-mono)", fontSize: 12 }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <span style={{ fontWeight: 700, minWidth: 140 }}>{pool.name}</span>
+        <select value={basis} disabled={finalized} onChange={(e) => { setBasis(e.target.value); setDirty(true); }}
+          style={{ width: 180, padding: "4px 8px", fontSize: 12 }}>
+          {Object.entries(POOL_BASES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <span style={{ flex: 1 }} />
+        {dirty && <button className="btn-primary" style={{ padding: "4px 10px", fontSize: 11 }} onClick={save}>Save</button>}
+        {!finalized && (
+          <button className="btn-danger" style={{ padding: "4px 10px", fontSize: 11 }} onClick={() => onDelete(pool)}>Delete</button>
+        )}
+      </div>
+      {needsShares && (
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 8, alignItems: "center" }}>
+          {people.map((p) => (
+            <label key={p.id} style={{ display: "flex", alignItems: "center", gap: 4, color: "var(--muted)" }}>
+              {p.name}
+              <input type="number" min="0" step={basis === "fixed" ? "0.5" : "1"} value={shares[p.id] ?? ""} disabled={finalized}
+                placeholder={basis === "fixed" ? "%" : "days"}
+                onChange={(e) => { setShares((prev) => ({ ...prev, [p.id]: e.target.value })); setDirty(true); }}
+                style={{ width: 64, padding: "4px 6px", fontSize: 12 }} />
+            </label>
+          ))}
+          {basis === "fixed" && (
+            <span style={{ color: Math.abs(fixedTotal - 100) < 0.001 ? "var(--accent)" : "var(--accent3)" }}>{fixedTotal}% of 100%</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Breaks one transaction into lines, each going to a pool or to one person.
+// A line's target is "" (Groceries), "pool:<id>" or "person:<id>".
+function SplitEditor({ transaction, lines, pools, people, onSave, onCancel }) {
+  const toDraft = (l) => ({
+    amount: String(l.amount),
+    target: l.person_id ? `person:${l.person_id}` : l.pool_id ? `pool:${l.pool_id}` : "",
+    note: l.note || "",
+    tags: l.tags.join(", "),
+  });
+  const [draft, setDraft] = useState(() => lines.length > 0
+    ? lines.map(toDraft)
+    : [{ amount: String(transaction.amount), target: transaction.pool_id ? `pool:${transaction.pool_id}` : "", note: "", tags: "" },
+      { amount: "", target: "", note: "", tags: "" }]);
+  const cents = (v) => Math.round((Number(v) || 0) * 100);
+  const leftCents = cents(transaction.amount) - draft.reduce((s, l) => s + cents(l.amount), 0);
+
+  const update = (i, field, value) => setDraft((prev) => prev.map((l, j) => (j === i ? { ...l, [field]: value } : l)));
+  // The first line holds whatever the others don't, so typing a personal
+  // amount keeps the split balanced
+  const updateAmount = (i, value) => setDraft((prev) => {
+    const next = prev.map((l, j) => (j === i ? { ...l, amount: value } : l));
+    if (i === 0) return next;
+    const rest = next.slice(1).reduce((s, l) => s + cents(l.amount), 0);
+    return next.map((l, j) => (j === 0 ? { ...l, amount: ((cents(transaction.amount) - rest) / 100).toFixed(2) } : l));
+  });
+
+  const save = () => onSave(draft.map((l) => ({
+    amount: Number(l.amount),
+    pool_id: l.target.startsWith("pool:") ? l.target.slice(5) : null,
+    person_id: l.target.startsWith("person:") ? l.target.slice(7) : null,
+    note: l.note,
+    tags: l.tags,
+  })));
+
+  return (
+    <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, marginBottom: 16, fontFamily: "var(--font-mono)", fontSize: 12 }}>
+      <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", justifyContent: "space-between" }}>
+        <span style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>
+          ✂ Split {transaction.merchant} {transaction.date} ({fmt(transaction.amount)})
+        </span>
+        <span style={{ color: leftCents === 0 ? "var(--accent)" : "var(--accent3)" }}>
+          {leftCents === 0 ? "✓ lines add up" : `${fmt(leftCents / 100)} left to assign`}
+        </span>
+      </div>
+      <div style={{ padding: "14px 20px" }}>
+        {draft.map((l, i) => (
+          <div key={i} style={{ display: "grid", gridTemplateColumns: "100px 200px 1fr 160px 32px", gap: 10, marginBottom: 8 }}>
+            <input type="number" step="0.01" value={l.amount} placeholder="0.00" onChange={(e) => updateAmount(i, e.target.value)} />
+            <select value={l.target} onChange={(e) => update(i, "target", e.target.value)}>
+              <optgroup label="Shared">
+                {pools.map((p) => <option key={p.id || "default"} value={p.id ? `pool:${p.id}` : ""}>{p.name}</option>)}
+              </optgroup>
+              <optgroup label="Personal to">
+                {people.map((p) => <option key={p.id} value={`person:${p.id}`}>{p.name} only</option>)}
+              </optgroup>
+            </select>
+            <input value={l.note} placeholder="Note, e.g. headphones" onChange={(e) => update(i, "note", e.target.value)} />
+            <input value={l.tags} placeholder="tags, e.g. alcohol" disabled={l.target.startsWith("person:")}
+              title="Anyone who doesn't pay for one of these tags is left out of this line" onChange={(e) => update(i, "tags", e.target.value)} />
+            <button className="btn-danger" style={{ padding: "4px 8px", fontSize: 11 }} disabled={draft.length <= 2}
+              onClick={() => setDraft((prev) => prev.filter((_, j) => j !== i))}>×</button>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <button className="btn-ghost" style={{ fontSize: 12 }} onClick={() => setDraft((prev) => [...prev, { amount: "", target: "", note: "", tags: "" }])}>+ Line</button>
+          <span style={{ flex: 1 }} />
+          {lines.length > 0 && <button className="btn-danger" style={{ fontSize: 12 }} onClick={() => onSave([])}>Unsplit</button>}
+          <button className="btn-ghost" style={{ fontSize: 12 }} onClick={onCancel}>Cancel</button>
+          <button className="btn-primary" style={{ fontSize: 12 }} onClick={save} disabled={leftCents !== 0}>Save Split</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// "3 items · meat, alcohol" under a transaction or receipt
+function ItemSummary({ items }) {
+  if (items.length === 0) return null;
+  const tags = [...new Set(items.flatMap((i) => i.tags))].sort();
+  return (
+    <div style={{ marginTop: 4, fontSize: 11, fontWeight: 400, color: "var(--muted)" }}>
+      🧾 {items.length} item{items.length === 1 ? "" : "s"}
+      {tags.map((t) => <span key={t} className="tag tag-blue" style={{ marginLeft: 6, fontSize: 10 }}>{t}</span>)}
+    </div>
+  );
+}
+
+const tagsText = (tags) => tags.join(", ");
+
+// One line item, saved when a field loses focus
+function ItemRow({ item, onUpdate, onDelete, finalized }) {
+  const [draft, setDraft] = useState({ ...item, tags: tagsText(item.tags) });
+  const changed = draft.product !== item.product || Number(draft.quantity) !== item.quantity ||
+    Number(draft.price) !== item.price || draft.tags !== tagsText(item.tags);
+  const save = () => {
+    if (changed) onUpdate(item.id, { product: draft.product, quantity: draft.quantity, price: draft.price, tags: draft.tags });
+  };
+  const field = (name) => ({
+    value: draft[name], disabled: finalized, onBlur: save,
+    onChange: (e) => setDraft((d) => ({ ...d, [name]: e.target.value })),
+    onKeyDown: (e) => e.key === "Enter" && save(),
+  });
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "1fr 60px 90px 200px 32px", gap: 10, marginBottom: 6 }}>
+      <input {...field("product")} />
+      <input type="number" min="0" step="1" {...field("quantity")} />
+      <input type="number" step="0.01" {...field("price")} />
+      <input placeholder="tags, comma separated" {...field("tags")} />
+      <button className="btn-danger" style={{ padding: "4px 8px", fontSize: 11 }} disabled={finalized} onClick={() => onDelete(item.id)}>×</button>
+    </div>
+  );
+}
+
+// Line items on one transaction or receipt: edit in place, add one at a
+// time, or paste receipt text (one item per line, parsed by lib/lineItems.js)
+function ItemsEditor({ entry, items, knownTags, onAdd, onUpdate, onDelete, onClose, finalized }) {
+  const blank = { product: "", quantity: "1", price: "", tags: [] };
+  const [draft, setDraft] = useState(blank);
+  const [paste, setPaste] = useState("");
+  const [skipped, setSkipped] = useState([]);
+  const itemsTotal = items.reduce((s, i) => s + i.price, 0);
+  const toggleTag = (tag) => setDraft((d) => ({ ...d, tags: d.tags.includes(tag) ? d.tags.filter((t) => t !== tag) : [...d.tags, tag] }));
+
+  const addOne = async () => {
+    if (!draft.product.trim() || draft.price === "") return;
+    if (await onAdd({ items: [{ ...draft, quantity: Number(draft.quantity) || 1, price: Number(draft.price) }] })) setDraft(blank);
+  };
+  const addPasted = async () => {
+    if (!paste.trim()) return;
+    const result = await onAdd({ text: paste });
+    if (result) {
+      setPaste("");
+      setSkipped(result.skipped);
+    }
+  };
+
+  return (
+    <div style={{ background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 12, marginBottom: 16, fontFamily: "var(--font-mono)", fontSize: 12 }}>
+      <div style={{ padding: "14px 20px", borderBottom: "1px solid var(--border)", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <span style={{ fontWeight: 700, fontSize: 13, letterSpacing: 1, textTransform: "uppercase", color: "var(--muted)" }}>
+          🧾 Items — {entry.label} {entry.date} ({fmt(entry.amount)})
+        </span>
+        <span style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          {items.length > 0 && (
+            <span style={{ color: Math.round(itemsTotal * 100) === Math.round(entry.amount * 100) ? "var(--accent)" : "var(--muted)" }}>
+              items {fmt(itemsTotal)} of {fmt(entry.amount)}
+            </span>
+          )}
+          <button className="btn-ghost" style={{ fontSize: 12 }} onClick={onClose}>Close</button>
+        </span>
+      </div>
+      <div style={{ padding: "14px 20px" }}>
+        {items.length > 0 && (
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 60px 90px 200px 32px", gap: 10, marginBottom: 6, color: "var(--muted)", fontSize: 11 }}>
+            <span>Product</span><span>Qty</span><span>Price</span><span>Tags</span><span />
+          </div>
+        )}
+        {items.map((item) => (
+          <ItemRow key={`${item.id}-${item.product}-${item.quantity}-${item.price}-${tagsText(item.tags)}`}
+            item={item} onUpdate={onUpdate} onDelete={onDelete} finalized={finalized} />
+        ))}
+        {!finalized && (
+          <>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 60px 90px auto", gap: 10, marginTop: 12 }}>
+              <input value={draft.product} placeholder="Product" onChange={(e) => setDraft((d) => ({ ...d, product: e.target.value }))}
+                onKeyDown={(e) => e.key === "Enter" && addOne()} />
+              <input type="number" min="0" step="1" value={draft.quantity} onChange={(e) => setDraft((d) => ({ ...d, quantity: e.target.value }))} />
+              <input type="number" step="0.01" value={draft.price} placeholder="0.00" onChange={(e) => setDraft((d) => ({ ...d, price: e.target.value }))}
+                onKeyDown={(e) => e.key === "Enter" && addOne()} />
+              <button className="btn-ghost" style={{ fontSize: 12 }} onClick={addOne}>+ Item</button>
+            </div>
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+              {knownTags.map((tag) => (
+                <span key={tag} className={`tag ${draft.tags.includes(tag) ? "tag-blue" : "tag-yellow"}`} style={{ cursor: "pointer" }}
+                  onClick={() => toggleTag(tag)}>{draft.tags.includes(tag) ? "✓ " : ""}{tag}</span>
+              ))}
+            </div>
+            <div style={{ marginTop: 14 }}>
+              <textarea value={paste} onChange={(e) => setPaste(e.target.value)} rows={4}
+                placeholder={"Paste receipt text, one item per line:\n2 x Chicken thighs 12.99 #meat\nBud Light 6pk 14.49 #alcohol"}
+                style={{ width: "100%", fontFamily: "var(--font-mono)", fontSize: 12 }} />
+              <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 6 }}>
+                <button className="btn-ghost" style={{ fontSize: 12 }} onClick={addPasted}>Add Pasted Items</button>
+              </div>
+            </div>
+            {skipped.length > 0 && (
+              <div style={{ marginTop: 8, color: "var(--accent3)" }}>
+                Skipped {skipped.length} line{skipped.length === 1 ? "" : "s"} with no price (or totals):
+                {skipped.map((s) => <div key={s.line} style={{ color: "var(--muted)" }}>line {s.line}: {s.text}</div>)}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
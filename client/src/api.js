@@ -14,7 +14,11 @@ async function request(method, path, body) {
   });
 
   const data = await res.json();
-  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  if (!res.ok) {
+    const err = new Error(data.error || `HTTP ${res.status}`);
+    err.code = data.code; // e.g. CYCLE_LOCKED
+    throw err;
+  }
   return data;
 }
 
@@ -22,15 +26,33 @@ async function request(method, path, body) {
 export const getPeople     = ()              => request("GET",    "/people");
 export const addPerson     = (name)          => request("POST",   "/people", { name });
 export const renamePerson  = (id, name)      => request("PATCH",  `/people/${id}`, { name });
+export const setDinnerWeight = (id, dinner_weight) => request("PATCH", `/people/${id}`, { dinner_weight });
+export const setExcludedTags = (id, excluded_tags) => request("PATCH", `/people/${id}`, { excluded_tags });
 export const removePerson  = (id)            => request("DELETE", `/people/${id}`);
+export const getPayerDefaults = ()           => request("GET",    "/people/payer-defaults");
+export const setPayerDefault  = (source, person_id) =>
+  request("PUT", `/people/payer-defaults/${source}`, { person_id });
+
+// ── Cards & accounts ───────────────────────────────────────────────────────
+export const getAccounts   = ()              => request("GET",    "/accounts");
+export const addAccount    = (body)          => request("POST",   "/accounts", body);
+export const updateAccount = (id, body)      => request("PATCH",  `/accounts/${id}`, body);
+export const deleteAccount = (id)            => request("DELETE", `/accounts/${id}`);
 
 // ── Cycles ─────────────────────────────────────────────────────────────────
 export const getCycles     = ()              => request("GET",    "/cycles");
-export const createCycle   = (month_key)     => request("POST",   "/cycles", { month_key });
+export const createCycle   = (body)          => request("POST",   "/cycles", body);
+export const updateCycle   = (id, body)      => request("PATCH",  `/cycles/${id}`, body);
+export const getCurrentCycle = ()            => request("POST",   "/cycles/current");
+export const getNextCyclePeriod = ()         => request("GET",    "/cycles/next");
 export const getCycle      = (id)            => request("GET",    `/cycles/${id}`);
-export const finalizeCycle   = (id)           => request("POST",   `/cycles/${id}/finalize`);
+export const finalizeCycle   = (id, body)     => request("POST",   `/cycles/${id}/finalize`, body);
 export const unfinalizeCycle = (id)           => request("POST",   `/cycles/${id}/unfinalize`);
 export const getBill       = (id)            => request("GET",    `/cycles/${id}/bill`);
+export const getSettlement = (id)            => request("GET",    `/cycles/${id}/settlement`);
+export const getCycleSnapshots = (id)        => request("GET",    `/cycles/${id}/snapshots`);
+
+export const getLedger     = ()              => request("GET",    "/ledger");
 
 // ── Dinners ────────────────────────────────────────────────────────────────
 // entries: [{ person_id, dinner_count, notes }]
@@ -42,18 +64,60 @@ export const getReceipts   = (cycleId)       => request("GET",    `/cycles/${cyc
 export const addReceipt    = (cycleId, body) => request("POST",   `/cycles/${cycleId}/receipts`, body);
 export const deleteReceipt = (cycleId, id)   => request("DELETE", `/cycles/${cycleId}/receipts/${id}`);
 
+// ── Expense pools ──────────────────────────────────────────────────────────
+// body: { name, basis: "dinners" | "equal" | "fixed" | "days", shares?: [{ person_id, value }] }
+export const addPool       = (cycleId, body)     => request("POST",   `/cycles/${cycleId}/pools`, body);
+export const updatePool    = (cycleId, id, body) => request("PATCH",  `/cycles/${cycleId}/pools/${id}`, body);
+export const deletePool    = (cycleId, id)       => request("DELETE", `/cycles/${cycleId}/pools/${id}`);
+export const setReceiptPool = (cycleId, id, pool_id) =>
+  request("PATCH", `/cycles/${cycleId}/receipts/${id}`, { pool_id });
+
+// ── Payments (settling up) ─────────────────────────────────────────────────
+// body: { payer_id, payee_id, amount, date?, method?, note? }
+export const getPayments   = (cycleId)       => request("GET",    `/cycles/${cycleId}/payments`);
+export const addPayment    = (cycleId, body) => request("POST",   `/cycles/${cycleId}/payments`, body);
+export const deletePayment = (cycleId, id)   => request("DELETE", `/cycles/${cycleId}/payments/${id}`);
+
 // ── Transactions ───────────────────────────────────────────────────────────
 export const getTransactions    = (cycleId)      => request("GET",    `/cycles/${cycleId}/transactions`);
 export const addTransaction     = (cycleId, body) => request("POST",  `/cycles/${cycleId}/transactions`, body);
 export const setVerified        = (cycleId, txId, verified) =>
   request("PATCH", `/cycles/${cycleId}/transactions/${txId}`, { verified });
+export const setPayer           = (cycleId, txId, payer_id) =>
+  request("PATCH", `/cycles/${cycleId}/transactions/${txId}`, { payer_id });
+export const setRefundOf        = (cycleId, txId, refund_of) =>
+  request("PATCH", `/cycles/${cycleId}/transactions/${txId}`, { refund_of });
+export const setTransactionPool = (cycleId, txId, pool_id) =>
+  request("PATCH", `/cycles/${cycleId}/transactions/${txId}`, { pool_id });
+export const setTransactionSplits = (cycleId, txId, lines) =>
+  request("PUT", `/cycles/${cycleId}/transactions/${txId}/splits`, { lines });
+// body: { transaction_id | receipt_id, items?: [{ product, quantity, price, tags }], text? }
+export const addLineItems       = (cycleId, body) => request("POST", `/cycles/${cycleId}/items`, body);
+export const updateLineItem     = (cycleId, id, body) => request("PATCH", `/cycles/${cycleId}/items/${id}`, body);
+export const deleteLineItem     = (cycleId, id) => request("DELETE", `/cycles/${cycleId}/items/${id}`);
 export const deleteTransaction  = (cycleId, txId) =>
   request("DELETE", `/cycles/${cycleId}/transactions/${txId}`);
-export const importCsv          = (cycleId, csv) =>
-  request("POST", `/cycles/${cycleId}/transactions/import-csv`, { csv });
+export const importCsv          = (csv, create_missing = false) =>
+  request("POST", "/cycles/import-csv", { csv, create_missing });
+
+// ── Review queue ───────────────────────────────────────────────────────────
+export const getCandidates      = (cycleId)      => request("GET",  `/cycles/${cycleId}/candidates`);
+export const acceptCandidate    = (cycleId, id)  => request("POST", `/cycles/${cycleId}/candidates/${id}/accept`);
+export const rejectCandidate    = (cycleId, id)  => request("POST", `/cycles/${cycleId}/candidates/${id}/reject`);
+export const rejectAllCandidates = (cycleId)     => request("POST", `/cycles/${cycleId}/candidates/reject-all`);
+
+// ── Grocery rules ──────────────────────────────────────────────────────────
+export const getRules      = ()          => request("GET",    "/rules");
+export const addRule       = (body)      => request("POST",   "/rules", body);
+export const updateRule    = (id, body)  => request("PATCH",  `/rules/${id}`, body);
+export const deleteRule    = (id)        => request("DELETE", `/rules/${id}`);
+export const testRule      = (body)      => request("POST",   "/rules/test", body);
 
 // ── Plaid ──────────────────────────────────────────────────────────────────
 export const getPlaidStatus    = ()         => request("GET",  "/plaid/status");
-export const getLinkToken      = ()         => request("POST", "/plaid/link-token");
+export const getLinkToken      = (body)     => request("POST", "/plaid/link-token", body);
 export const exchangeToken     = (body)     => request("POST", "/plaid/exchange", body);
 export const syncPlaid         = (cycleId)  => request("POST", `/plaid/sync/${cycleId}`);
+export const importPlaidRange  = (body)     => request("POST", "/plaid/import", body);
+export const markPlaidRelinked = (itemId)   => request("POST", `/plaid/items/${itemId}/relinked`);
+export const removePlaidItem   = (itemId)   => request("DELETE", `/plaid/items/${itemId}`);
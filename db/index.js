@@ -15,6 +15,9 @@ const initSqlJs = require("sql.js");
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
+const { localToday, periodCovering } = require("../lib/cyclePeriods");
+const { diffSnapshots } = require("../lib/snapshotDiff");
+const { toCents, toDollars, sumCents, allocateCents, ALLOCATION_RULE } = require("../lib/money");
 
 const DB_PATH = path.resolve(process.env.DB_PATH || "./grocsplit.db");
 
@@ -230,22 +233,43 @@ const peopleQueries = () => ({
   insert:     prepare("INSERT INTO people (id, name) VALUES (@id, @name)"),
   deactivate: prepare("UPDATE people SET active = 0 WHERE id = @id"),
   rename:     prepare("UPDATE people SET name = @name WHERE id = @id"),
+  setWeight:  prepare("UPDATE people SET dinner_weight = @dinner_weight WHERE id = @id"),
+  setExcludedTags: prepare("UPDATE people SET excluded_tags = @excluded_tags WHERE id = @id"),
 });
 
 const cycleQueries = () => ({
-  all:        prepare("SELECT * FROM cycles ORDER BY month_key DESC"),
+  all:        prepare("SELECT * FROM cycles ORDER BY date_from DESC"),
+  latest:     prepare("SELECT * FROM cycles ORDER BY date_from DESC LIMIT 1"),
+  // The cycle just before a period starting at date_from
+  previous:   prepare("SELECT * FROM cycles WHERE date_from < @date_from ORDER BY date_from DESC LIMIT 1"),
   byId:       prepare("SELECT * FROM cycles WHERE id = @id"),
   byMonthKey: prepare("SELECT * FROM cycles WHERE month_key = @month_key"),
+  byDate:     prepare(
+    `SELECT * FROM cycles WHERE date_from <= @date AND date_to >= @date
+     ORDER BY date_from DESC LIMIT 1`
+  ),
+  // Cycles sharing any day with the range, other than cycle `id` (optional)
+  overlapping: prepare(
+    `SELECT * FROM cycles
+     WHERE date_from <= @date_to AND date_to >= @date_from AND id != COALESCE(@id, '')
+     ORDER BY date_from`
+  ),
   insert:     prepare(
-    `INSERT INTO cycles (id, month_key, label, date_from, date_to)
-     VALUES (@id, @month_key, @label, @date_from, @date_to)`
+    `INSERT INTO cycles (id, month_key, label, date_from, date_to, period_type)
+     VALUES (@id, @month_key, @label, @date_from, @date_to, @period_type)`
+  ),
+  updatePeriod: prepare(
+    `UPDATE cycles SET period_type = @period_type, month_key = @month_key, label = @label,
+       date_from = @date_from, date_to = @date_to
+     WHERE id = @id`
   ),
   finalize:   prepare("UPDATE cycles SET finalized = 1 WHERE id = @id"),
   unfinalize: prepare("UPDATE cycles SET finalized = 0 WHERE id = @id"),
 });
 
 const plaidQueryDefs = () => ({
-  first:       prepare("SELECT * FROM plaid_items ORDER BY created_at LIMIT 1"),
+  all:         prepare("SELECT * FROM plaid_items ORDER BY created_at"),
+  byItemId:    prepare("SELECT * FROM plaid_items WHERE item_id = @item_id"),
   insert:      prepare(
     `INSERT OR REPLACE INTO plaid_items (id, item_id, access_token, institution)
      VALUES (@id, @item_id, @access_token, @institution)`
@@ -253,23 +277,102 @@ const plaidQueryDefs = () => ({
   updateSynced: prepare(
     "UPDATE plaid_items SET last_synced = datetime('now') WHERE item_id = @item_id"
   ),
+  updateCursor: prepare(
+    "UPDATE plaid_items SET cursor = @cursor, last_synced = datetime('now') WHERE item_id = @item_id"
+  ),
+  // Start the item's /transactions/sync over, e.g. after an account is
+  // re-enabled; already-imported rows are deduped by plaid_id.
+  resetCursor: prepare(
+    "UPDATE plaid_items SET cursor = NULL WHERE item_id = @item_id"
+  ),
+  // Failed sync or ITEM_ERROR webhook — cleared by the next successful sync
+  // or once the user re-authenticates through Link update mode
+  setError: prepare(
+    "UPDATE plaid_items SET error_code = @error_code, error_message = @error_message WHERE item_id = @item_id"
+  ),
+  clearError: prepare(
+    "UPDATE plaid_items SET error_code = NULL, error_message = NULL WHERE item_id = @item_id"
+  ),
+  setConsentExpiry: prepare(
+    "UPDATE plaid_items SET consent_expires_at = @consent_expires_at WHERE item_id = @item_id"
+  ),
+  // access_token holds the encrypted token — see lib/tokenCrypto.js
+  setAccessToken: prepare(
+    "UPDATE plaid_items SET access_token = @access_token WHERE item_id = @item_id"
+  ),
+  delete: prepare("DELETE FROM plaid_items WHERE item_id = @item_id"),
 });
 
 const txQueryDefs = () => ({
   byCycle: prepare(
-    "SELECT * FROM transactions WHERE cycle_id = @cycle_id ORDER BY date DESC"
+    `SELECT t.*, p.name AS payer_name, a.label AS account_label, a.mask AS account_mask,
+            o.merchant AS refund_of_merchant, o.date AS refund_of_date, pl.name AS pool_name,
+            (SELECT COUNT(*) FROM transaction_splits s WHERE s.transaction_id = t.id) AS split_count
+     FROM transactions t
+     LEFT JOIN people p ON p.id = t.payer_id
+     LEFT JOIN accounts a ON a.id = t.account_id
+     LEFT JOIN transactions o ON o.id = t.refund_of
+     LEFT JOIN pools pl ON pl.id = t.pool_id
+     WHERE t.cycle_id = @cycle_id
+     ORDER BY t.date DESC`
   ),
+  byId: prepare("SELECT * FROM transactions WHERE id = @id"),
   byPlaidId: prepare(
     "SELECT id FROM transactions WHERE plaid_id = @plaid_id LIMIT 1"
   ),
+  // Rows for a Plaid transaction_id along with their cycle's lock state, used
+  // when applying modified/removed deltas from /transactions/sync.
+  byPlaidIdWithCycle: prepare(
+    `SELECT t.*, c.finalized AS cycle_finalized, c.label AS cycle_label
+     FROM transactions t
+     JOIN cycles c ON c.id = t.cycle_id
+     WHERE t.plaid_id = @plaid_id`
+  ),
+  // Most recent purchase a refund could reverse: same cycle, merchant and
+  // amount, on or before the refund date, and not already claimed by another
+  // refund. Refunds only link within a cycle, as the API enforces.
+  findRefundTarget: prepare(
+    `SELECT id FROM transactions
+     WHERE cycle_id = @cycle_id
+       AND merchant = @merchant
+       AND ROUND(amount, 2) = ROUND(@amount, 2)
+       AND date <= @date
+       AND id NOT IN (SELECT refund_of FROM transactions WHERE refund_of IS NOT NULL)
+     ORDER BY date DESC
+     LIMIT 1`
+  ),
   insert: prepare(
     `INSERT INTO transactions
-       (id, cycle_id, plaid_id, date, merchant, amount, source, notes)
-     VALUES (@id, @cycle_id, @plaid_id, @date, @merchant, @amount, @source, @notes)`
+       (id, cycle_id, plaid_id, date, merchant, amount, source, notes, payer_id, account_id, refund_of, pending, category)
+     VALUES (@id, @cycle_id, @plaid_id, @date, @merchant, @amount, @source, @notes, @payer_id, @account_id, @refund_of,
+             COALESCE(@pending, 0), @category)`
   ),
   setVerified: prepare(
     "UPDATE transactions SET verified = @verified WHERE id = @id"
   ),
+  setPayer: prepare(
+    "UPDATE transactions SET payer_id = @payer_id WHERE id = @id"
+  ),
+  setRefundOf: prepare(
+    "UPDATE transactions SET refund_of = @refund_of WHERE id = @id"
+  ),
+  setPool: prepare(
+    "UPDATE transactions SET pool_id = @pool_id WHERE id = @id"
+  ),
+  updateFromPlaid: prepare(
+    `UPDATE transactions SET date = @date, merchant = @merchant, amount = @amount, pending = @pending
+     WHERE id = @id`
+  ),
+  // Pending → posted: the row keeps its id, payer and links but takes the
+  // posted transaction_id and figures.
+  postPending: prepare(
+    `UPDATE transactions
+     SET plaid_id = @plaid_id, date = @date, merchant = @merchant, amount = @amount, pending = 0
+     WHERE id = @id`
+  ),
+  pendingForCycle: prepare(
+    "SELECT * FROM transactions WHERE cycle_id = @cycle_id AND pending = 1"
+  ),
   delete: prepare("DELETE FROM transactions WHERE id = @id"),
   totalForCycle: prepare(
     "SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE cycle_id = @cycle_id"
@@ -278,26 +381,30 @@ const txQueryDefs = () => ({
 
 const dinnerQueryDefs = () => ({
   byCycle: prepare(
-    `SELECT de.*, p.name AS person_name
+    `SELECT de.*, p.name AS person_name, p.dinner_weight AS default_weight, p.excluded_tags
      FROM dinner_entries de
      JOIN people p ON p.id = de.person_id
      WHERE de.cycle_id = @cycle_id`
   ),
+  // set_weight = 0 keeps an existing weight override, so saving counts alone
+  // doesn't clear it
   upsert: prepare(
-    `INSERT INTO dinner_entries (id, cycle_id, person_id, dinner_count, notes, updated_at)
-     VALUES (@id, @cycle_id, @person_id, @dinner_count, @notes, datetime('now'))
+    `INSERT INTO dinner_entries (id, cycle_id, person_id, dinner_count, notes, weight, updated_at)
+     VALUES (@id, @cycle_id, @person_id, @dinner_count, @notes, @weight, datetime('now'))
      ON CONFLICT(cycle_id, person_id) DO UPDATE SET
        dinner_count = excluded.dinner_count,
        notes = excluded.notes,
+       weight = CASE WHEN @set_weight THEN excluded.weight ELSE dinner_entries.weight END,
        updated_at = datetime('now')`
   ),
 });
 
 const receiptQueryDefs = () => ({
   byCycle: prepare(
-    `SELECT pr.*, p.name AS person_name
+    `SELECT pr.*, p.name AS person_name, pl.name AS pool_name
      FROM personal_receipts pr
      JOIN people p ON p.id = pr.person_id
+     LEFT JOIN pools pl ON pl.id = pr.pool_id
      WHERE pr.cycle_id = @cycle_id
      ORDER BY pr.created_at DESC`
   ),
@@ -305,44 +412,831 @@ const receiptQueryDefs = () => ({
     "SELECT * FROM personal_receipts WHERE cycle_id = @cycle_id AND person_id = @person_id"
   ),
   insert: prepare(
-    `INSERT INTO personal_receipts (id, cycle_id, person_id, amount, note, date)
-     VALUES (@id, @cycle_id, @person_id, @amount, @note, @date)`
+    `INSERT INTO personal_receipts (id, cycle_id, person_id, amount, note, date, pool_id)
+     VALUES (@id, @cycle_id, @person_id, @amount, @note, @date, @pool_id)`
   ),
+  byId: prepare("SELECT * FROM personal_receipts WHERE id = @id"),
+  setPool: prepare("UPDATE personal_receipts SET pool_id = @pool_id WHERE id = @id"),
   delete: prepare("DELETE FROM personal_receipts WHERE id = @id"),
 });
 
+const poolQueryDefs = () => ({
+  byCycle: prepare("SELECT * FROM pools WHERE cycle_id = @cycle_id ORDER BY created_at, name"),
+  byId: prepare("SELECT * FROM pools WHERE id = @id"),
+  insert: prepare(
+    "INSERT INTO pools (id, cycle_id, name, basis) VALUES (@id, @cycle_id, @name, @basis)"
+  ),
+  update: prepare("UPDATE pools SET name = @name, basis = @basis WHERE id = @id"),
+  // Back to the default pool before the pool is deleted
+  releaseTransactions: prepare("UPDATE transactions SET pool_id = NULL WHERE pool_id = @pool_id"),
+  releaseReceipts: prepare("UPDATE personal_receipts SET pool_id = NULL WHERE pool_id = @pool_id"),
+  releaseSplits: prepare("UPDATE transaction_splits SET pool_id = NULL WHERE pool_id = @pool_id"),
+  delete: prepare("DELETE FROM pools WHERE id = @id"),
+  sharesForCycle: prepare(
+    `SELECT ps.*, p.name AS person_name
+     FROM pool_shares ps
+     JOIN pools pl ON pl.id = ps.pool_id
+     JOIN people p ON p.id = ps.person_id
+     WHERE pl.cycle_id = @cycle_id`
+  ),
+  clearShares: prepare("DELETE FROM pool_shares WHERE pool_id = @pool_id"),
+  insertShare: prepare(
+    "INSERT INTO pool_shares (pool_id, person_id, value) VALUES (@pool_id, @person_id, @value)"
+  ),
+});
+
+const splitQueryDefs = () => ({
+  byCycle: prepare(
+    `SELECT s.*, p.name AS person_name, pl.name AS pool_name
+     FROM transaction_splits s
+     JOIN transactions t ON t.id = s.transaction_id
+     LEFT JOIN people p ON p.id = s.person_id
+     LEFT JOIN pools pl ON pl.id = s.pool_id
+     WHERE t.cycle_id = @cycle_id
+     ORDER BY s.transaction_id, s.position`
+  ),
+  insert: prepare(
+    `INSERT INTO transaction_splits (id, transaction_id, amount, pool_id, person_id, note, tags, position)
+     VALUES (@id, @transaction_id, @amount, @pool_id, @person_id, @note, @tags, @position)`
+  ),
+  clear: prepare("DELETE FROM transaction_splits WHERE transaction_id = @transaction_id"),
+});
+
+const lineItemQueryDefs = () => ({
+  byCycle: prepare(
+    `SELECT li.*
+     FROM line_items li
+     LEFT JOIN transactions t ON t.id = li.transaction_id
+     LEFT JOIN personal_receipts pr ON pr.id = li.receipt_id
+     WHERE COALESCE(t.cycle_id, pr.cycle_id) = @cycle_id
+     ORDER BY li.transaction_id, li.receipt_id, li.position, li.created_at`
+  ),
+  byId: prepare("SELECT * FROM line_items WHERE id = @id"),
+  // Next position for a parent, so appended items sort after existing ones
+  nextPosition: prepare(
+    `SELECT COALESCE(MAX(position) + 1, 0) AS position FROM line_items
+     WHERE transaction_id IS @transaction_id AND receipt_id IS @receipt_id`
+  ),
+  insert: prepare(
+    `INSERT INTO line_items (id, transaction_id, receipt_id, product, quantity, price, tags, position)
+     VALUES (@id, @transaction_id, @receipt_id, @product, @quantity, @price, @tags, @position)`
+  ),
+  update: prepare(
+    "UPDATE line_items SET product = @product, quantity = @quantity, price = @price, tags = @tags WHERE id = @id"
+  ),
+  delete: prepare("DELETE FROM line_items WHERE id = @id"),
+  clearTransaction: prepare("DELETE FROM line_items WHERE transaction_id = @transaction_id"),
+  clearReceipt: prepare("DELETE FROM line_items WHERE receipt_id = @receipt_id"),
+});
+
+const snapshotQueryDefs = () => ({
+  byCycle: prepare("SELECT * FROM bill_snapshots WHERE cycle_id = @cycle_id ORDER BY version DESC"),
+  latest: prepare("SELECT * FROM bill_snapshots WHERE cycle_id = @cycle_id ORDER BY version DESC LIMIT 1"),
+  insert: prepare(
+    `INSERT INTO bill_snapshots (id, cycle_id, version, cycle, bill, transactions, dinners, receipts, diff)
+     VALUES (@id, @cycle_id, @version, @cycle, @bill, @transactions, @dinners, @receipts, @diff)`
+  ),
+});
+
+const paymentQueryDefs = () => ({
+  byCycle: prepare(
+    `SELECT pm.*, payer.name AS payer_name, payee.name AS payee_name
+     FROM payments pm
+     JOIN people payer ON payer.id = pm.payer_id
+     JOIN people payee ON payee.id = pm.payee_id
+     WHERE pm.cycle_id = @cycle_id
+     ORDER BY pm.date DESC, pm.created_at DESC`
+  ),
+  byId: prepare("SELECT * FROM payments WHERE id = @id"),
+  insert: prepare(
+    `INSERT INTO payments (id, cycle_id, payer_id, payee_id, amount, date, method, note)
+     VALUES (@id, @cycle_id, @payer_id, @payee_id, @amount, @date, @method, @note)`
+  ),
+  update: prepare(
+    `UPDATE payments SET payer_id = @payer_id, payee_id = @payee_id, amount = @amount,
+       date = @date, method = @method, note = @note
+     WHERE id = @id`
+  ),
+  delete: prepare("DELETE FROM payments WHERE id = @id"),
+});
+
+const auditQueryDefs = () => ({
+  byCycle: prepare("SELECT * FROM audit_log WHERE cycle_id = @cycle_id ORDER BY created_at DESC"),
+  insert: prepare(
+    `INSERT INTO audit_log (id, cycle_id, action, detail, status, remote_addr)
+     VALUES (@id, @cycle_id, @action, @detail, @status, @remote_addr)`
+  ),
+});
+
+const candidateQueryDefs = () => ({
+  byCycle: prepare(
+    `SELECT gc.*, a.label AS account_label, a.mask AS account_mask
+     FROM grocery_candidates gc
+     LEFT JOIN accounts a ON a.id = gc.account_id
+     WHERE gc.cycle_id = @cycle_id AND gc.status = @status
+     ORDER BY gc.date DESC`
+  ),
+  byId:      prepare("SELECT * FROM grocery_candidates WHERE id = @id"),
+  byPlaidId: prepare("SELECT * FROM grocery_candidates WHERE plaid_id = @plaid_id"),
+  insert: prepare(
+    `INSERT INTO grocery_candidates
+       (id, cycle_id, plaid_id, account_id, date, merchant, amount, category, reason, pending, source)
+     VALUES (@id, @cycle_id, @plaid_id, @account_id, @date, @merchant, @amount, @category, @reason, @pending,
+             COALESCE(@source, 'visa'))`
+  ),
+  updateFromPlaid: prepare(
+    `UPDATE grocery_candidates
+     SET plaid_id = @plaid_id, date = @date, merchant = @merchant, amount = @amount, pending = @pending
+     WHERE id = @id`
+  ),
+  reject: prepare("UPDATE grocery_candidates SET status = 'rejected' WHERE id = @id"),
+  rejectAllOpen: prepare(
+    "UPDATE grocery_candidates SET status = 'rejected' WHERE cycle_id = @cycle_id AND status = 'open'"
+  ),
+  delete: prepare("DELETE FROM grocery_candidates WHERE id = @id"),
+});
+
+const ruleQueryDefs = () => ({
+  all: prepare(
+    `SELECT * FROM grocery_rules
+     ORDER BY CASE action WHEN 'exclude' THEN 0 WHEN 'include' THEN 1 ELSE 2 END, created_at`
+  ),
+  enabled: prepare("SELECT * FROM grocery_rules WHERE enabled = 1"),
+  byId:    prepare("SELECT * FROM grocery_rules WHERE id = @id"),
+  insert: prepare(
+    `INSERT INTO grocery_rules
+       (id, action, merchant_contains, merchant_regex, category, min_amount, max_amount, enabled, note)
+     VALUES (@id, @action, @merchant_contains, @merchant_regex, @category, @min_amount, @max_amount,
+             COALESCE(@enabled, 1), @note)`
+  ),
+  update: prepare(
+    `UPDATE grocery_rules
+     SET action = @action, merchant_contains = @merchant_contains, merchant_regex = @merchant_regex,
+         category = @category, min_amount = @min_amount, max_amount = @max_amount,
+         enabled = @enabled, note = @note
+     WHERE id = @id`
+  ),
+  delete: prepare("DELETE FROM grocery_rules WHERE id = @id"),
+  // Everything already imported or queued, for previewing a rule
+  history: prepare(
+    `SELECT t.id, 'transaction' AS kind, t.cycle_id, c.label AS cycle_label,
+            t.date, t.merchant, t.amount, t.source, t.category
+     FROM transactions t
+     JOIN cycles c ON c.id = t.cycle_id
+     UNION ALL
+     SELECT gc.id, 'candidate:' || gc.status AS kind, gc.cycle_id, c.label AS cycle_label,
+            gc.date, gc.merchant, gc.amount, gc.source, gc.category
+     FROM grocery_candidates gc
+     JOIN cycles c ON c.id = gc.cycle_id
+     ORDER BY date DESC`
+  ),
+});
+
+const payerDefaultQueryDefs = () => ({
+  all: prepare(
+    `SELECT pd.source, pd.person_id, p.name AS person_name
+     FROM payer_defaults pd
+     LEFT JOIN people p ON p.id = pd.person_id
+     ORDER BY pd.source`
+  ),
+  bySource: prepare("SELECT * FROM payer_defaults WHERE source = @source"),
+  upsert: prepare(
+    `INSERT INTO payer_defaults (source, person_id, updated_at)
+     VALUES (@source, @person_id, datetime('now'))
+     ON CONFLICT(source) DO UPDATE SET
+       person_id = excluded.person_id,
+       updated_at = datetime('now')`
+  ),
+  // Credit the new default payer on rows from this source that have no payer
+  // yet (including those from before payer_id existed), leaving finalized
+  // cycles untouched.
+  backfillPayer: prepare(
+    `UPDATE transactions SET payer_id = @person_id
+     WHERE source = @source AND payer_id IS NULL
+       AND cycle_id IN (SELECT id FROM cycles WHERE finalized = 0)`
+  ),
+});
+
+const accountQueryDefs = () => ({
+  all: prepare(
+    `SELECT a.*, p.name AS person_name
+     FROM accounts a
+     LEFT JOIN people p ON p.id = a.person_id
+     ORDER BY a.kind, a.label`
+  ),
+  byId:             prepare("SELECT * FROM accounts WHERE id = @id"),
+  byCardNumber:     prepare("SELECT * FROM accounts WHERE card_number = @card_number"),
+  byPlaidAccountId: prepare("SELECT * FROM accounts WHERE plaid_account_id = @plaid_account_id"),
+  byPlaidItem: prepare(
+    `SELECT a.*, p.name AS person_name
+     FROM accounts a
+     LEFT JOIN people p ON p.id = a.person_id
+     WHERE a.plaid_item_id = @plaid_item_id
+     ORDER BY a.label`
+  ),
+  insert: prepare(
+    `INSERT INTO accounts (id, kind, card_number, plaid_account_id, label, mask, person_id)
+     VALUES (@id, @kind, @card_number, @plaid_account_id, @label, @mask, @person_id)`
+  ),
+  update: prepare(
+    `UPDATE accounts SET label = @label, person_id = @person_id, sync_enabled = @sync_enabled
+     WHERE id = @id`
+  ),
+  linkItem: prepare(
+    `UPDATE accounts SET plaid_item_id = @plaid_item_id, sync_enabled = @sync_enabled
+     WHERE id = @id`
+  ),
+  // Disconnecting an item keeps its accounts (and their transactions) but
+  // stops them syncing
+  unlinkItem: prepare(
+    `UPDATE accounts SET plaid_item_id = NULL, sync_enabled = 0
+     WHERE plaid_item_id = @plaid_item_id`
+  ),
+  delete: prepare("DELETE FROM accounts WHERE id = @id"),
+  // Credit the new owner on rows from this account that have no payer yet,
+  // leaving finalized cycles untouched.
+  backfillPayer: prepare(
+    `UPDATE transactions SET payer_id = @person_id
+     WHERE account_id = @id AND payer_id IS NULL
+       AND cycle_id IN (SELECT id FROM cycles WHERE finalized = 0)`
+  ),
+});
+
+/**
+ * Look up the registry entry for a masked card number or a Plaid account_id.
+ * Accounts seen for the first time are registered without an owner so they
+ * show up in the People tab ready to be assigned.
+ */
+function ensureAccount({ card_number, plaid_account_id, plaid_item_id, label, mask }) {
+  const q = accountQueryDefs();
+  const existing = card_number
+    ? q.byCardNumber.get({ card_number })
+    : q.byPlaidAccountId.get({ plaid_account_id });
+  if (existing) {
+    if (plaid_item_id && !existing.plaid_item_id) {
+      q.linkItem.run({ id: existing.id, plaid_item_id, sync_enabled: existing.sync_enabled });
+      return q.byId.get({ id: existing.id });
+    }
+    return existing;
+  }
+
+  const id = uuidv4();
+  q.insert.run({
+    id,
+    kind: card_number ? "card" : "plaid",
+    card_number: card_number || null,
+    plaid_account_id: plaid_account_id || null,
+    label: label || null,
+    mask: mask || (card_number ? card_number.slice(-4) : null),
+    person_id: null,
+  });
+  if (plaid_item_id) q.linkItem.run({ id, plaid_item_id, sync_enabled: 1 });
+  return q.byId.get({ id });
+}
+
+/**
+ * Purchase in `cycle_id` a credit most likely reverses, for auto-linking
+ * refunds on import. Returns the original transaction id, or null for non-refunds / no match.
+ */
+function findRefundTarget({ cycle_id, merchant, amount, date }) {
+  if (amount >= 0) return null;
+  const row = txQueryDefs().findRefundTarget.get({ cycle_id, merchant, amount: -amount, date });
+  return row ? row.id : null;
+}
+
+/**
+ * Payer of record for a new transaction when the caller didn't name one:
+ * the owner of the card/account it came from, else the household's default
+ * payer for that source (visa | csv | receipt), else null.
+ */
+function defaultPayer(source, account = null) {
+  if (account && account.person_id) return account.person_id;
+  const row = payerDefaultQueryDefs().bySource.get({ source });
+  return row ? row.person_id : null;
+}
+
+/**
+ * Whether one grocery rule matches a transaction. Every condition the rule
+ * sets must hold; unset conditions are ignored. Text matches are
+ * case-insensitive, and the amount range applies to the absolute amount so a
+ * refund is classified like the purchase it reverses. `category` is Plaid's
+ * category text (CSV rows have none, so category rules never match them).
+ */
+function ruleMatches(rule, { merchant, amount, category }) {
+  const name = (merchant || "").toLowerCase();
+  if (rule.merchant_contains && !name.includes(rule.merchant_contains.toLowerCase())) return false;
+  if (rule.merchant_regex) {
+    let re;
+    try { re = new RegExp(rule.merchant_regex, "i"); } catch { return false; }
+    if (!re.test(merchant || "")) return false;
+  }
+  if (rule.category && !(category || "").toLowerCase().includes(rule.category.toLowerCase())) return false;
+  const abs = Math.abs(Number(amount) || 0);
+  if (rule.min_amount != null && abs < rule.min_amount) return false;
+  if (rule.max_amount != null && abs > rule.max_amount) return false;
+  return true;
+}
+
+/**
+ * Run a transaction through the enabled grocery rules. Exclude beats include
+ * beats review, so a narrow exclude can carve exceptions out of a broad
+ * include. Returns { action, rule } — action is null when nothing matched.
+ */
+function classifyTransaction(t, rules = ruleQueryDefs().enabled.all()) {
+  for (const action of ["exclude", "include", "review"]) {
+    const rule = rules.find((r) => r.action === action && ruleMatches(r, t));
+    if (rule) return { action, rule };
+  }
+  return { action: null, rule: null };
+}
+
+/**
+ * Create a billing cycle for a resolved period (see lib/cyclePeriods.js),
+ * with a zero dinner entry for every active person. Callers check that the
+ * period doesn't overlap an existing cycle.
+ */
+function createCycle({ period_type, month_key, label, date_from, date_to }) {
+  const id = uuidv4();
+  cycleQueries().insert.run({ id, month_key, label, date_from, date_to, period_type });
+
+  // Pre-seed a dinner_entry row for every active person in this new cycle
+  const dinnerQ = dinnerQueryDefs();
+  for (const p of peopleQueries().all.all()) {
+    dinnerQ.upsert.run({
+      id: uuidv4(),
+      cycle_id: id,
+      person_id: p.id,
+      dinner_count: 0,
+      notes: null,
+      weight: null,
+      set_weight: 0,
+    });
+  }
+
+  // Carry the previous cycle's pools forward. Fixed percentages carry too;
+  // days present are different every cycle, so those start empty.
+  const poolQ = poolQueryDefs();
+  const previous = cycleQueries().previous.get({ date_from });
+  if (previous) {
+    const shares = poolQ.sharesForCycle.all({ cycle_id: previous.id });
+    for (const pool of poolQ.byCycle.all({ cycle_id: previous.id })) {
+      const poolId = uuidv4();
+      poolQ.insert.run({ id: poolId, cycle_id: id, name: pool.name, basis: pool.basis });
+      if (pool.basis !== "fixed") continue;
+      for (const s of shares.filter((x) => x.pool_id === pool.id)) {
+        poolQ.insertShare.run({ pool_id: poolId, person_id: s.person_id, value: s.value });
+      }
+    }
+  }
+  return cycleQueries().byId.get({ id });
+}
+
+/**
+ * The cycle covering `date`. With `create`, a missing one is created in the
+ * latest cycle's pattern (see periodCovering; calendar months when there are
+ * no cycles yet) and pushed onto `created`, if given. Null when there is no
+ * cycle and none can be created without overlapping an existing one.
+ */
+function cycleForDate(date, { create = false, created = null } = {}) {
+  const q = cycleQueries();
+  const covering = q.byDate.get({ date });
+  if (covering || !create) return covering || null;
+
+  const period = periodCovering(date, q.latest.get());
+  if (q.overlapping.all({ id: null, date_from: period.date_from, date_to: period.date_to }).length > 0) return null;
+  const cycle = createCycle(period);
+  if (created) created.push(cycle);
+  return cycle;
+}
+
+/**
+ * Like cycleForDate with `create`, but only creates the current period's
+ * cycle — the one covering today — so opening the app or a bank sync never
+ * adds cycles for old dates. Returns null for other uncovered dates.
+ */
+function ensureCurrentCycle(date = localToday(), { created = null } = {}) {
+  const covering = cycleQueries().byDate.get({ date });
+  if (covering) return covering;
+  const current = periodCovering(localToday(), cycleQueries().latest.get());
+  if (date < current.date_from || date > current.date_to) return null;
+  return cycleForDate(date, { create: true, created });
+}
+
 // ── Billing calculation ───────────────────────────────────────────────────────
 
-function computeBill(cycleId) {
-  const totalRow = txQueryDefs().totalForCycle.get({ cycle_id: cycleId });
-  const txTotal = totalRow ? Number(totalRow.total) : 0;
+// Transactions and receipts with no pool_id land in this pot, split by dinners
+const DEFAULT_POOL = { id: null, name: "Groceries", basis: "dinners" };
+
+/**
+ * How a pool divides among the cycle's members → Map(person_id → weight):
+ *   dinners — weighted dinners (dinner_count × weight)
+ *   equal   — 1 each for everyone on the cycle (everyone with a dinner entry)
+ *   fixed   — the percentage in pool_shares
+ *   days    — days present, from pool_shares
+ */
+function poolWeights(pool, members, dinnerRows, shareRows) {
+  if (pool.basis === "dinners") {
+    return new Map([...members].map(([personId, m]) => [personId, m.dinners * m.weight]));
+  }
+  if (pool.basis === "equal") {
+    return new Map(dinnerRows.map((d) => [d.person_id, 1]));
+  }
+  return new Map(shareRows.filter((s) => s.pool_id === pool.id).map((s) => [s.person_id, s.value]));
+}
+
+// Tags are stored comma-separated ("meat,alcohol") and handed out as arrays
+const tagList = (text) => (text ? text.split(",") : []);
+
+/** A cycle's line items, tags as arrays. */
+function cycleLineItems(cycleId) {
+  return lineItemQueryDefs().byCycle.all({ cycle_id: cycleId }).map((item) => ({ ...item, tags: tagList(item.tags) }));
+}
+
+/** A cycle's transaction split lines, tags as arrays. */
+function cycleSplits(cycleId) {
+  return splitQueryDefs().byCycle.all({ cycle_id: cycleId }).map((line) => ({ ...line, tags: tagList(line.tags) }));
+}
+
+/** The default pool first, then the cycle's own, each with its shares. */
+function cyclePools(cycleId) {
+  const q = poolQueryDefs();
+  const shares = q.sharesForCycle.all({ cycle_id: cycleId });
+  return [DEFAULT_POOL, ...q.byCycle.all({ cycle_id: cycleId })].map((pool) => ({
+    ...pool,
+    shares: shares.filter((s) => s.pool_id === pool.id),
+  }));
+}
+
+function computeBill(cycleId, cache) {
+  // Pending charges can still change or vanish, so they are reported but kept
+  // out of the split until Plaid posts them.
+  const allTxRows = txQueryDefs().byCycle.all({ cycle_id: cycleId });
+  const pendingRows = allTxRows.filter((t) => t.pending);
+  const txRows = allTxRows.filter((t) => !t.pending);
   const dinnerRows = dinnerQueryDefs().byCycle.all({ cycle_id: cycleId });
   const receiptRows = receiptQueryDefs().byCycle.all({ cycle_id: cycleId });
+  const shareRows = poolQueryDefs().sharesForCycle.all({ cycle_id: cycleId });
+  const pools = [DEFAULT_POOL, ...poolQueryDefs().byCycle.all({ cycle_id: cycleId })];
+  const splitRows = cycleSplits(cycleId);
+  const itemRows = cycleLineItems(cycleId);
 
-  // Total grocery spend = shared transactions + all personal out-of-pocket receipts
-  const receiptTotal = receiptRows.reduce((s, r) => s + Number(r.amount), 0);
-  const total = txTotal + receiptTotal;
+  // A split transaction is billed line by line: pool lines join their pool,
+  // personal lines are charged to that person alone. Whatever its lines don't
+  // cover (Plaid revised the amount after it was split) stays in the
+  // transaction's own pool. The payer is still credited the whole charge.
+  // Line items ride along for tag exclusions (below); on a split transaction
+  // its lines' own tags count instead. The API refuses to combine the two, but
+  // tagged items left on a split transaction are listed in `ignoredItems`.
+  const ignoredItems = [];
+  const txLines = txRows.flatMap((t) => {
+    const lines = splitRows.filter((l) => l.transaction_id === t.id).map((l) => ({ ...l, items: [] }));
+    const rest = toCents(t.amount) - sumCents(lines);
+    const txItems = itemRows.filter((i) => i.transaction_id === t.id);
+    const items = lines.length === 0 ? txItems : [];
+    const ignored = lines.length > 0 ? txItems.filter((i) => i.tags.length > 0) : [];
+    if (ignored.length > 0) {
+      ignoredItems.push({ transaction_id: t.id, merchant: t.merchant, date: t.date, items: ignored.length });
+    }
+    const unsplit = lines.length === 0 || rest !== 0
+      ? [{ amount: toDollars(rest), pool_id: t.pool_id, person_id: null, tags: [], items }]
+      : [];
+    return [...lines, ...unsplit];
+  });
+  const receiptLines = receiptRows.map((r) => ({
+    amount: r.amount, pool_id: r.pool_id, tags: [], items: itemRows.filter((i) => i.receipt_id === r.id),
+  }));
+  const sharedLines = [...txLines.filter((l) => !l.person_id), ...receiptLines];
+  const personalLines = txLines.filter((l) => l.person_id);
+
+  // Total grocery spend = shared transaction lines + all personal out-of-pocket receipts.
+  // Refunds are negative transactions, so they reduce the total (and the
+  // payer's credit) without special-casing. Everything below is in whole
+  // cents (lib/money.js) so shares add up to the total exactly.
+  const totalCents = sumCents(sharedLines);
 
   const totalDinners = dinnerRows.reduce((s, d) => s + Number(d.dinner_count), 0);
 
-  const billRows = dinnerRows.map((d) => {
-    const pct = totalDinners > 0 ? Number(d.dinner_count) / totalDinners : 0;
-    const owes = total * pct;
-    const paid = receiptRows
-      .filter((r) => r.person_id === d.person_id)
-      .reduce((s, r) => s + Number(r.amount), 0);
+  // Everyone who ate, paid or holds a pool share gets a row — a payer with no
+  // dinner entry still needs their credit, otherwise balances would not net
+  // to zero. Each dinner
+  // counts for the person's weight: this cycle's override, else their default.
+  const members = new Map();
+  for (const d of dinnerRows) {
+    members.set(d.person_id, {
+      name: d.person_name,
+      dinners: Number(d.dinner_count),
+      weight: d.weight ?? d.default_weight,
+      weightOverride: d.weight !== null,
+      excludes: new Set(tagList(d.excluded_tags)),
+    });
+  }
+  const addMember = (personId, name) => {
+    if (members.has(personId)) return;
+    const person = peopleQueries().byId.get({ id: personId });
+    members.set(personId, {
+      name, dinners: 0, weight: person?.dinner_weight ?? 1, weightOverride: false, excludes: new Set(tagList(person?.excluded_tags)),
+    });
+  };
+  for (const t of txRows) {
+    if (t.payer_id) addMember(t.payer_id, t.payer_name);
+  }
+  for (const r of receiptRows) addMember(r.person_id, r.person_name);
+  for (const l of personalLines) addMember(l.person_id, l.person_name);
+  for (const s of shareRows) addMember(s.person_id, s.person_name);
+
+  const weighted = (m) => m.dinners * m.weight;
+  const totalWeighted = [...members.values()].reduce((s, m) => s + weighted(m), 0);
+
+  // Items and split lines tagged with something a diner excludes (e.g.
+  // "meat") leave their pool. Those with the same set of excluders are pooled
+  // and shared by weighted dinners among the other diners. Someone with no
+  // dinners pays nothing anyway, so only diners count as excluders.
+  const excludersOf = (tags) => [...members]
+    .filter(([, m]) => weighted(m) > 0 && tags.some((t) => m.excludes.has(t)))
+    .map(([personId]) => personId);
+  const excludedGroups = new Map(); // excluder ids → { excluded, tags, cents }
+  const carve = ({ amount, tags }) => {
+    const excluded = excludersOf(tags);
+    if (excluded.length === 0) return 0;
+    const key = excluded.join(",");
+    const group = excludedGroups.get(key) || { excluded, tags: new Set(), cents: 0 };
+    tags.filter((t) => excluded.some((id) => members.get(id).excludes.has(t))).forEach((t) => group.tags.add(t));
+    group.cents += toCents(amount);
+    excludedGroups.set(key, group);
+    return toCents(amount);
+  };
+  const poolLines = sharedLines.map((line) => {
+    const pieces = line.tags.length > 0 ? [line] : line.items.map((i) => ({ amount: i.price, tags: i.tags }));
+    return { pool_id: line.pool_id, cents: toCents(line.amount) - pieces.reduce((s, p) => s + carve(p), 0) };
+  });
+
+  // Each pool's spend is split on its own basis; a person owes the sum of
+  // their shares. Pools round separately, so each adds up to its own total.
+  // Rows pointing at a pool this cycle doesn't have fall back to the default
+  const poolIds = new Set(pools.map((p) => p.id));
+  const inPool = (pool) => (row) => (poolIds.has(row.pool_id) ? row.pool_id : null) === pool.id;
+  const owesCents = new Map([...members.keys()].map((personId) => [personId, 0]));
+  const poolBreakdown = pools.map((pool) => {
+    const poolCents = poolLines.filter(inPool(pool)).reduce((s, l) => s + l.cents, 0);
+    const weights = poolWeights(pool, members, dinnerRows, shareRows);
+    const totalWeight = [...weights.values()].reduce((s, w) => s + w, 0);
+    const shares = allocateCents(
+      poolCents,
+      [...members].map(([personId, m]) => ({ key: personId, weight: weights.get(personId) || 0, name: m.name }))
+    );
+    for (const [personId, cents] of shares) owesCents.set(personId, owesCents.get(personId) + cents);
+    const allocated = [...shares.values()].reduce((s, c) => s + c, 0);
+    return {
+      id: pool.id,
+      name: pool.name,
+      basis: pool.basis,
+      total: toDollars(poolCents),
+      allocated: toDollars(allocated),
+      shares: [...members]
+        .filter(([personId]) => (weights.get(personId) || 0) > 0 || shares.get(personId) !== 0)
+        .map(([personId, m]) => ({
+          person_id: personId,
+          person_name: m.name,
+          share: weights.get(personId) || 0,
+          pct: totalWeight > 0 ? Math.round(((weights.get(personId) || 0) / totalWeight) * 10000) / 100 : 0,
+          owes: toDollars(shares.get(personId)),
+        })),
+    };
+  });
+
+  const excludedCents = new Map();
+  const exclusionBreakdown = [...excludedGroups.values()].map((group) => {
+    const others = [...members].filter(([personId, m]) => !group.excluded.includes(personId) && weighted(m) > 0);
+    // If every diner excludes it there's nobody left to take it, so it's
+    // shared by everyone as usual
+    const sharers = others.length > 0 ? others : [...members];
+    const shares = allocateCents(group.cents, sharers.map(([personId, m]) => ({ key: personId, weight: weighted(m), name: m.name })));
+    for (const [personId, cents] of shares) owesCents.set(personId, owesCents.get(personId) + cents);
+    if (others.length > 0) {
+      for (const personId of group.excluded) excludedCents.set(personId, (excludedCents.get(personId) || 0) + group.cents);
+    }
+    return {
+      tags: [...group.tags].sort(),
+      excluded: group.excluded.map((personId) => ({ person_id: personId, person_name: members.get(personId).name })),
+      total: toDollars(group.cents),
+      shares: [...shares]
+        .filter(([, cents]) => cents !== 0)
+        .map(([personId, cents]) => ({ person_id: personId, person_name: members.get(personId).name, owes: toDollars(cents) })),
+    };
+  });
+
+  const billRows = [...members].map(([personId, m]) => {
+    const personal = sumCents(personalLines.filter((l) => l.person_id === personId));
+    const owes = owesCents.get(personId) + personal;
+    const paidShared = sumCents(txRows.filter((t) => t.payer_id === personId));
+    const paidReceipts = sumCents(receiptRows.filter((r) => r.person_id === personId));
+    const paid = paidShared + paidReceipts;
+    return {
+      person_id: personId,
+      person_name: m.name,
+      dinner_count: m.dinners,
+      weight: m.weight,
+      weight_override: m.weightOverride,
+      weighted_dinners: weighted(m),
+      pct: totalWeighted > 0 ? Math.round((weighted(m) / totalWeighted) * 10000) / 100 : 0,
+      personal: toDollars(personal),
+      excluded_amount: toDollars(excludedCents.get(personId) || 0),
+      owes: toDollars(owes),
+      paid_shared: toDollars(paidShared),
+      paid_receipts: toDollars(paidReceipts),
+      paid: toDollars(paid),
+      balance: toDollars(owes - paid),
+    };
+  });
+
+  // Shared charges nobody is credited for — balances only net to zero once
+  // every transaction has a payer.
+  const unassignedTotal = sumCents(txRows.filter((t) => !t.payer_id));
+
+  return withBalances({
+    total: toDollars(totalCents),
+    personalTotal: toDollars(sumCents(personalLines)),
+    totalDinners,
+    totalWeightedDinners: totalWeighted,
+    unassignedTotal: toDollars(unassignedTotal),
+    pendingCount: pendingRows.length,
+    pendingTotal: toDollars(sumCents(pendingRows)),
+    // A pool nobody has a share of (e.g. no dinners yet) allocates nothing;
+    // otherwise this sums to total, and owes to total + personalTotal
+    allocatedTotal: toDollars([...owesCents.values()].reduce((s, c) => s + c, 0)),
+    rounding: {
+      unit: "cent",
+      method: "largest_remainder",
+      rule: `${ALLOCATION_RULE} Each pool, and each group of excluded items, is split on its own.`,
+    },
+    pools: poolBreakdown,
+    exclusions: exclusionBreakdown,
+    ignoredItems,
+    billRows,
+  }, cycleId, cache);
+}
+
+// ── Balances across cycles ────────────────────────────────────────────────────
+// A cycle's own split (`balance`) is frozen when it's finalized. What it
+// closes on also depends on the balance carried in from the previous cycle
+// and on payments recorded later — settling up usually happens after
+// finalizing — so those are worked out fresh on every read.
+
+/**
+ * The bill as history sees it: a finalized cycle's latest snapshot (the
+ * live bill if it has none yet, or for open cycles), with current opening
+ * balances and payments applied. `cache` (a Map) saves recomputing earlier
+ * cycles when walking many in a row.
+ */
+function cycleBill(cycleId, cache = new Map()) {
+  if (cache.has(cycleId)) return cache.get(cycleId);
+  const cycle = cycleQueries().byId.get({ id: cycleId });
+  const snapshot = cycle?.finalized ? latestSnapshot(cycleId) : null;
+  const bill = snapshot ? withBalances(snapshot.bill, cycleId, cache) : computeBill(cycleId, cache);
+  cache.set(cycleId, bill);
+  return bill;
+}
+
+/**
+ * Add the carried and settled parts to a bill's rows: opening_balance (from
+ * the previous cycle), payments_sent / payments_received (recorded against
+ * this cycle), and closing_balance = opening + balance − sent + received.
+ * `settled` is true once every closing balance is zero.
+ */
+function withBalances(bill, cycleId, cache) {
+  const opening = openingBalances(cycleId, cache);
+  const paymentRows = paymentQueryDefs().byCycle.all({ cycle_id: cycleId });
+
+  const rows = new Map(bill.billRows.map((r) => [r.person_id, r]));
+  // Someone with only a carried balance or a payment still needs a row
+  const addPerson = (person_id, person_name) => {
+    if (rows.has(person_id)) return;
+    rows.set(person_id, {
+      person_id, person_name, dinner_count: 0, weight: peopleQueries().byId.get({ id: person_id })?.dinner_weight ?? 1,
+      weight_override: false, weighted_dinners: 0, pct: 0, personal: 0, excluded_amount: 0, owes: 0,
+      paid_shared: 0, paid_receipts: 0, paid: 0, balance: 0,
+    });
+  };
+  for (const [personId, o] of opening.balances) addPerson(personId, o.person_name);
+  for (const p of paymentRows) {
+    addPerson(p.payer_id, p.payer_name);
+    addPerson(p.payee_id, p.payee_name);
+  }
+
+  const billRows = [...rows.values()].map((r) => {
+    const carried = toCents(opening.balances.get(r.person_id)?.amount || 0);
+    const sent = sumCents(paymentRows.filter((p) => p.payer_id === r.person_id));
+    const received = sumCents(paymentRows.filter((p) => p.payee_id === r.person_id));
     return {
-      person_id: d.person_id,
-      person_name: d.person_name,
-      dinner_count: Number(d.dinner_count),
-      pct: Math.round(pct * 10000) / 100,
-      owes: Math.round(owes * 100) / 100,
-      paid: Math.round(paid * 100) / 100,
-      balance: Math.round((owes - paid) * 100) / 100,
+      ...r,
+      opening_balance: toDollars(carried),
+      payments_sent: toDollars(sent),
+      payments_received: toDollars(received),
+      closing_balance: toDollars(carried + toCents(r.balance) - sent + received),
     };
   });
 
-  return { total, totalDinners, billRows };
+  return {
+    ...bill,
+    openingFrom: opening.from,
+    openingPending: opening.pending,
+    openingUnassigned: opening.unassigned,
+    settled: billRows.length > 0 && billRows.every((r) => r.closing_balance === 0),
+    billRows,
+  };
+}
+
+// What a bill row leaves owing. Snapshots from before balances carried
+// forward have no closing_balance; their own balance was the whole story.
+const closingBalance = (row) => row.closing_balance ?? row.balance;
+
+// Whether some of a bill's shared charges have no payer, so its balances
+// don't net to zero
+const hasUnassigned = (bill) => (bill.unassignedTotal || 0) !== 0;
+
+/**
+ * Balances carried into a cycle: the closing balances of the cycle just
+ * before it, once that one is finalized. Nothing is carried while the
+ * previous cycle is still open (`pending`) — its figures can still change,
+ * and carrying them would count them twice once it's finalized. Nor from a
+ * cycle with charges nobody paid (`unassigned`, e.g. finalized before payers
+ * existed): its balances don't net to zero, so they'd be debts nobody can
+ * collect. The chain starts again after it.
+ *   → { from: { id, label } | null, pending, unassigned, balances: Map(person_id → { person_name, amount }) }
+ */
+function openingBalances(cycleId, cache) {
+  const q = cycleQueries();
+  const cycle = q.byId.get({ id: cycleId });
+  const previous = cycle && q.previous.get({ date_from: cycle.date_from });
+  const balances = new Map();
+  if (!previous) return { from: null, pending: false, unassigned: false, balances };
+
+  const from = { id: previous.id, label: previous.label };
+  if (!previous.finalized) return { from, pending: true, unassigned: false, balances };
+
+  const bill = cycleBill(previous.id, cache);
+  if (hasUnassigned(bill)) return { from, pending: false, unassigned: true, balances };
+  for (const row of bill.billRows) {
+    const amount = closingBalance(row);
+    if (amount !== 0) balances.set(row.person_id, { person_name: row.person_name, amount });
+  }
+  return { from, pending: false, unassigned: false, balances };
+}
+
+// ── Bill snapshots ────────────────────────────────────────────────────────────
+// Finalizing freezes what the bill was computed from, so renames and later
+// edits never change a settled cycle's history.
+
+const SNAPSHOT_JSON_COLUMNS = ["cycle", "bill", "transactions", "dinners", "receipts", "diff"];
+
+function parseSnapshot(row) {
+  if (!row) return null;
+  const snapshot = { ...row };
+  for (const col of SNAPSHOT_JSON_COLUMNS) snapshot[col] = row[col] === null ? null : JSON.parse(row[col]);
+  return snapshot;
+}
+
+/**
+ * Store the cycle's current bill, transactions, dinners and receipts as its
+ * next snapshot version, with a diff against the previous version.
+ * Returns the new snapshot.
+ */
+function snapshotCycle(cycleId) {
+  const q = snapshotQueryDefs();
+  const previous = parseSnapshot(q.latest.get({ cycle_id: cycleId }));
+  const snapshot = {
+    version: previous ? previous.version + 1 : 1,
+    cycle: cycleQueries().byId.get({ id: cycleId }),
+    bill: computeBill(cycleId),
+    transactions: txQueryDefs().byCycle.all({ cycle_id: cycleId }),
+    dinners: dinnerQueryDefs().byCycle.all({ cycle_id: cycleId }),
+    receipts: receiptQueryDefs().byCycle.all({ cycle_id: cycleId }),
+  };
+  const diff = previous ? diffSnapshots(previous, snapshot) : null;
+
+  q.insert.run({
+    id: uuidv4(),
+    cycle_id: cycleId,
+    version: snapshot.version,
+    cycle: JSON.stringify(snapshot.cycle),
+    bill: JSON.stringify(snapshot.bill),
+    transactions: JSON.stringify(snapshot.transactions),
+    dinners: JSON.stringify(snapshot.dinners),
+    receipts: JSON.stringify(snapshot.receipts),
+    diff: diff && JSON.stringify(diff),
+  });
+  return parseSnapshot(q.latest.get({ cycle_id: cycleId }));
+}
+
+const latestSnapshot = (cycleId) => parseSnapshot(snapshotQueryDefs().latest.get({ cycle_id: cycleId }));
+const cycleSnapshots = (cycleId) => snapshotQueryDefs().byCycle.all({ cycle_id: cycleId }).map(parseSnapshot);
+
+// Cycles finalized before snapshots existed are frozen as they stand now
+function snapshotFinalizedCycles() {
+  const q = snapshotQueryDefs();
+  for (const cycle of cycleQueries().all.all()) {
+    if (cycle.finalized && !q.latest.get({ cycle_id: cycle.id })) snapshotCycle(cycle.id);
+  }
 }
 
 // ── Exports ───────────────────────────────────────────────────────────────────
@@ -361,7 +1255,35 @@ module.exports = {
   tx: null,
   dinners: null,
   receipts: null,
+  pools: null,
+  splits: null,
+  lineItems: null,
+  payments: null,
+  payerDefaults: null,
+  accounts: null,
+  candidates: null,
+  rules: null,
+  audit: null,
   computeBill,
+  DEFAULT_POOL,
+  cyclePools,
+  cycleLineItems,
+  cycleSplits,
+  cycleBill,
+  closingBalance,
+  hasUnassigned,
+  snapshotCycle,
+  latestSnapshot,
+  cycleSnapshots,
+  snapshotFinalizedCycles,
+  createCycle,
+  cycleForDate,
+  ensureCurrentCycle,
+  classifyTransaction,
+  ruleMatches,
+  defaultPayer,
+  ensureAccount,
+  findRefundTarget,
   // Called by server/index.js after init() resolves
   buildQueries() {
     module.exports.people   = peopleQueries();
@@ -370,6 +1292,15 @@ module.exports = {
     module.exports.tx       = txQueryDefs();
     module.exports.dinners  = dinnerQueryDefs();
     module.exports.receipts = receiptQueryDefs();
+    module.exports.pools = poolQueryDefs();
+    module.exports.splits = splitQueryDefs();
+    module.exports.lineItems = lineItemQueryDefs();
+    module.exports.payments = paymentQueryDefs();
+    module.exports.payerDefaults = payerDefaultQueryDefs();
+    module.exports.accounts = accountQueryDefs();
+    module.exports.candidates = candidateQueryDefs();
+    module.exports.rules = ruleQueryDefs();
+    module.exports.audit = auditQueryDefs();
   },
   // Expose db and transaction() for seed.js
   get db() { return { transaction, run: (sql) => db.run(sql) }; },
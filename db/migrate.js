@@ -2,16 +2,44 @@
  * db/migrate.js
  * Creates (or upgrades) the GrocSplit SQLite schema using sql.js.
  * Run once: node db/migrate.js
- * Safe to re-run — uses CREATE TABLE IF NOT EXISTS everywhere.
+ * Safe to re-run — uses CREATE TABLE IF NOT EXISTS everywhere, and column
+ * additions are skipped when the column already exists.
  */
 
 require("dotenv").config();
 const initSqlJs = require("sql.js");
 const fs = require("fs");
 const path = require("path");
+const { v4: uuidv4 } = require("uuid");
 
 const DB_PATH = path.resolve(process.env.DB_PATH || "./grocsplit.db");
 
+// SQLite has no ALTER TABLE … ADD COLUMN IF NOT EXISTS, so column additions
+// are described as objects and the runner checks PRAGMA table_info first.
+const addColumn = (table, column, definition) => ({ table, column, definition });
+
+// Starter rows for a table, inserted the first time the migration runs (and
+// only if the table is empty then). The seed is recorded in seeded_tables, so
+// a user who later deletes every row doesn't get the defaults back on the
+// next run. `rows` is a function so env-dependent defaults are read at
+// migrate time.
+const seedOnce = (table, rows) => ({ seed: table, rows });
+
+// The grocery filter used to be GROCERY_KEYWORDS plus hard-coded Plaid
+// categories; these rules import what it imported. What it dropped is no
+// longer dropped: rows no rule matches wait in the review queue, and that
+// includes CSV rows, which used to go straight into the cycle.
+const defaultGroceryRules = () => [
+  ...(process.env.GROCERY_KEYWORDS || "")
+    .split(",")
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean)
+    .map((kw) => ({ action: "include", merchant_contains: kw })),
+  { action: "include", category: "groceries" },
+  { action: "include", category: "supermarket" },
+  { action: "review",  category: "food and drink", note: "Restaurants and take-out — check before accepting" },
+];
+
 const migrations = [
   // ── 1. People ──────────────────────────────────────────────────────────────
   `CREATE TABLE IF NOT EXISTS people (
@@ -83,8 +111,281 @@ const migrations = [
 
   `CREATE INDEX IF NOT EXISTS idx_receipts_cycle ON personal_receipts(cycle_id)`,
   `CREATE INDEX IF NOT EXISTS idx_receipts_person ON personal_receipts(person_id)`,
+
+  // ── 7. Payer of record ─────────────────────────────────────────────────────
+  // Every shared transaction is credited to the person whose card/cash paid it.
+  // payer_defaults holds the fallback payer per source (visa | csv | receipt).
+  // Rows from before this column have no payer; setting a source's default
+  // payer credits them (open cycles only), as assigning a card's owner does.
+  addColumn("transactions", "payer_id", "TEXT REFERENCES people(id)"),
+
+  `CREATE TABLE IF NOT EXISTS payer_defaults (
+    source        TEXT PRIMARY KEY,
+    person_id     TEXT REFERENCES people(id),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  // ── 8. Cards & Accounts ────────────────────────────────────────────────────
+  // Registry linking a masked card number (CIBC CSV column 5) or a Plaid
+  // account_id to the household member who owns it. Imported rows pick up
+  // their payer from here before falling back to payer_defaults.
+  `CREATE TABLE IF NOT EXISTS accounts (
+    id                TEXT PRIMARY KEY,
+    kind              TEXT NOT NULL DEFAULT 'card',
+    card_number       TEXT UNIQUE,
+    plaid_account_id  TEXT UNIQUE,
+    label             TEXT,
+    mask              TEXT,
+    person_id         TEXT REFERENCES people(id),
+    created_at        TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  addColumn("transactions", "account_id", "TEXT REFERENCES accounts(id) ON DELETE SET NULL"),
+
+  // ── 9. Refunds & credits ───────────────────────────────────────────────────
+  // Credits are stored as negative amounts; refund_of optionally links one to
+  // the purchase it reverses.
+  addColumn("transactions", "refund_of", "TEXT REFERENCES transactions(id) ON DELETE SET NULL"),
+
+  // ── 10. Plaid sync cursor ──────────────────────────────────────────────────
+  // /transactions/sync position per item; null means "start from scratch".
+  addColumn("plaid_items", "cursor", "TEXT"),
+
+  // ── 11. Pending transactions ───────────────────────────────────────────────
+  // Plaid pending rows are replaced in place when the posted version arrives
+  // (matched on pending_transaction_id). Pending rows stay out of bill totals.
+  addColumn("transactions", "pending", "INTEGER NOT NULL DEFAULT 0"),
+
+  // ── 12. Multiple Plaid items ───────────────────────────────────────────────
+  // Each Plaid account remembers the item (bank login) it belongs to and
+  // whether its transactions are pulled during sync.
+  addColumn("accounts", "plaid_item_id", "TEXT"),
+  addColumn("accounts", "sync_enabled", "INTEGER NOT NULL DEFAULT 1"),
+
+  // ── 13. Grocery review queue ───────────────────────────────────────────────
+  // Bank transactions the grocery filter didn't accept (or wasn't sure about)
+  // wait here, attached to the cycle covering their date, until someone
+  // accepts them into transactions or rejects them. Rejected rows are kept so
+  // later syncs don't queue them again.
+  `CREATE TABLE IF NOT EXISTS grocery_candidates (
+    id            TEXT PRIMARY KEY,
+    cycle_id      TEXT NOT NULL REFERENCES cycles(id) ON DELETE CASCADE,
+    plaid_id      TEXT NOT NULL UNIQUE,
+    account_id    TEXT REFERENCES accounts(id) ON DELETE SET NULL,
+    date          TEXT NOT NULL,
+    merchant      TEXT NOT NULL,
+    amount        REAL NOT NULL,
+    category      TEXT,
+    reason        TEXT NOT NULL DEFAULT 'no_match',
+    pending       INTEGER NOT NULL DEFAULT 0,
+    status        TEXT NOT NULL DEFAULT 'open',
+    created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  `CREATE INDEX IF NOT EXISTS idx_candidates_cycle ON grocery_candidates(cycle_id, status)`,
+
+  // ── 14. Grocery classification rules ───────────────────────────────────────
+  // Every set condition must hold for a rule to match. Across rules, exclude
+  // beats include beats review; transactions matching nothing are queued.
+  `CREATE TABLE IF NOT EXISTS grocery_rules (
+    id                TEXT PRIMARY KEY,
+    action            TEXT NOT NULL,        -- include | review | exclude
+    merchant_contains TEXT,
+    merchant_regex    TEXT,
+    category          TEXT,
+    min_amount        REAL,
+    max_amount        REAL,
+    enabled           INTEGER NOT NULL DEFAULT 1,
+    note              TEXT,
+    created_at        TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  // Tables whose starter rows were seeded, so seedOnce never repeats
+  `CREATE TABLE IF NOT EXISTS seeded_tables (
+    name          TEXT PRIMARY KEY,
+    seeded_at     TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  seedOnce("grocery_rules", defaultGroceryRules),
+
+  // Plaid category kept with the row so rules can be tested against history
+  addColumn("transactions", "category", "TEXT"),
+  // CSV imports queue their unmatched rows too
+  addColumn("grocery_candidates", "source", "TEXT NOT NULL DEFAULT 'visa'"),
+
+  // ── 15. Plaid item health (from webhooks) ──────────────────────────────────
+  addColumn("plaid_items", "error_code", "TEXT"),
+  addColumn("plaid_items", "error_message", "TEXT"),
+  addColumn("plaid_items", "consent_expires_at", "TEXT"),
+
+  // ── 16. Cycle periods: month | statement | biweekly | custom ───────────────
+  // Existing cycles are all calendar months.
+  addColumn("cycles", "period_type", "TEXT NOT NULL DEFAULT 'month'"),
+
+  // ── 17. Audit log ──────────────────────────────────────────────────────────
+  // Changes an admin forced through to a finalized cycle (see lib/cycleLock.js).
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id            TEXT PRIMARY KEY,
+    cycle_id      TEXT REFERENCES cycles(id),
+    action        TEXT NOT NULL,        -- "METHOD /api/path"
+    detail        TEXT,                 -- request body as JSON
+    status        INTEGER,              -- HTTP status the request finished with
+    remote_addr   TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  `CREATE INDEX IF NOT EXISTS idx_audit_cycle ON audit_log(cycle_id, created_at)`,
+
+  // ── 18. Bill snapshots ─────────────────────────────────────────────────────
+  // Each finalize freezes the cycle, bill, transactions, dinners and receipts
+  // as JSON, numbered per cycle. `diff` lists what changed since the previous
+  // version. Rows are never updated or deleted — the triggers enforce it.
+  `CREATE TABLE IF NOT EXISTS bill_snapshots (
+    id            TEXT PRIMARY KEY,
+    cycle_id      TEXT NOT NULL REFERENCES cycles(id),
+    version       INTEGER NOT NULL,
+    cycle         TEXT NOT NULL,
+    bill          TEXT NOT NULL,
+    transactions  TEXT NOT NULL,
+    dinners       TEXT NOT NULL,
+    receipts      TEXT NOT NULL,
+    diff          TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE(cycle_id, version)
+  )`,
+
+  `CREATE TRIGGER IF NOT EXISTS bill_snapshots_no_update BEFORE UPDATE ON bill_snapshots
+   BEGIN SELECT RAISE(ABORT, 'bill snapshots are immutable'); END`,
+
+  `CREATE TRIGGER IF NOT EXISTS bill_snapshots_no_delete BEFORE DELETE ON bill_snapshots
+   BEGIN SELECT RAISE(ABORT, 'bill snapshots are immutable'); END`,
+
+  // ── 19. Payments ───────────────────────────────────────────────────────────
+  // Money one member sent another to settle up (e-transfer, cash, …),
+  // recorded against the cycle it settles. Payments can be added after the
+  // cycle is finalized; they move closing balances, not the split itself.
+  `CREATE TABLE IF NOT EXISTS payments (
+    id          TEXT PRIMARY KEY,
+    cycle_id    TEXT NOT NULL REFERENCES cycles(id),
+    payer_id    TEXT NOT NULL REFERENCES people(id),
+    payee_id    TEXT NOT NULL REFERENCES people(id),
+    amount      REAL NOT NULL,
+    date        TEXT NOT NULL,
+    method      TEXT,
+    note        TEXT,
+    created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+
+  `CREATE INDEX IF NOT EXISTS idx_payments_cycle ON payments(cycle_id)`,
+
+  // ── 20. Dinner weights ─────────────────────────────────────────────────────
+  // How much of a portion each person's dinner counts as (a child might be
+  // 0.5). dinner_entries.weight overrides it for one cycle; null means use
+  // the person's default.
+  addColumn("people", "dinner_weight", "REAL NOT NULL DEFAULT 1"),
+  addColumn("dinner_entries", "weight", "REAL"),
+
+  // ── 21. Expense pools ──────────────────────────────────────────────────────
+  // Named pots within a cycle, each split its own way: by weighted dinners,
+  // equally, by fixed percentages, or by days present. pool_shares holds the
+  // percentage (fixed) or days (days) per person. Transactions and receipts
+  // with no pool_id go in the cycle's default Groceries pot, split by dinners.
+  `CREATE TABLE IF NOT EXISTS pools (
+    id          TEXT PRIMARY KEY,
+    cycle_id    TEXT NOT NULL REFERENCES cycles(id),
+    name        TEXT NOT NULL,
+    basis       TEXT NOT NULL CHECK (basis IN ('dinners', 'equal', 'fixed', 'days')),
+    created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE(cycle_id, name)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS pool_shares (
+    pool_id     TEXT NOT NULL REFERENCES pools(id) ON DELETE CASCADE,
+    person_id   TEXT NOT NULL REFERENCES people(id),
+    value       REAL NOT NULL,
+    PRIMARY KEY (pool_id, person_id)
+  )`,
+
+  addColumn("transactions", "pool_id", "TEXT REFERENCES pools(id) ON DELETE SET NULL"),
+  addColumn("personal_receipts", "pool_id", "TEXT REFERENCES pools(id) ON DELETE SET NULL"),
+
+  // ── 22. Transaction splits ─────────────────────────────────────────────────
+  // One charge broken into lines, e.g. a Superstore run that was partly
+  // someone's personal items. Each line goes to a pool (null = Groceries) or,
+  // with person_id, is charged to that person alone. Lines add up to the
+  // transaction's amount; a transaction with no lines is billed whole.
+  `CREATE TABLE IF NOT EXISTS transaction_splits (
+    id              TEXT PRIMARY KEY,
+    transaction_id  TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    amount          REAL NOT NULL,
+    pool_id         TEXT REFERENCES pools(id) ON DELETE SET NULL,
+    person_id       TEXT REFERENCES people(id),
+    note            TEXT,
+    position        INTEGER NOT NULL DEFAULT 0
+  )`,
+
+  `CREATE INDEX IF NOT EXISTS idx_transaction_splits_tx ON transaction_splits(transaction_id)`,
+
+  // ── 23. Line items ─────────────────────────────────────────────────────────
+  // What a transaction or personal receipt bought, item by item, with tags
+  // (comma-separated, lowercase — "meat,alcohol"). price is the line's
+  // total, not a unit price. Each item belongs to exactly one parent.
+  `CREATE TABLE IF NOT EXISTS line_items (
+    id              TEXT PRIMARY KEY,
+    transaction_id  TEXT REFERENCES transactions(id) ON DELETE CASCADE,
+    receipt_id      TEXT REFERENCES personal_receipts(id) ON DELETE CASCADE,
+    product         TEXT NOT NULL,
+    quantity        REAL NOT NULL DEFAULT 1,
+    price           REAL NOT NULL,
+    tags            TEXT NOT NULL DEFAULT '',
+    position        INTEGER NOT NULL DEFAULT 0,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK ((transaction_id IS NULL) <> (receipt_id IS NULL))
+  )`,
+
+  `CREATE INDEX IF NOT EXISTS idx_line_items_tx ON line_items(transaction_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_line_items_receipt ON line_items(receipt_id)`,
+
+  // ── 24. Tag exclusions ─────────────────────────────────────────────────────
+  // Tags a person doesn't pay for (comma-separated, lowercase — "meat,alcohol").
+  // Line items and split lines carrying one of them are shared among the
+  // other diners only. Split lines take tags the same way line items do.
+  addColumn("people", "excluded_tags", "TEXT NOT NULL DEFAULT ''"),
+  addColumn("transaction_splits", "tags", "TEXT NOT NULL DEFAULT ''"),
 ];
 
+function applyMigration(db, migration) {
+  if (typeof migration === "string") {
+    db.run(migration);
+    return migration.trim().slice(0, 60).replace(/\s+/g, " ");
+  }
+
+  if (migration.seed) {
+    const table = migration.seed;
+    const seeded = db.exec("SELECT 1 FROM seeded_tables WHERE name = ?", [table]).length > 0;
+    if (seeded) return `seed ${table} (already done)`;
+    const count = db.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+    if (count === 0) {
+      for (const row of migration.rows()) {
+        const cols = ["id", ...Object.keys(row)];
+        const stmt = db.prepare(`INSERT INTO ${table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`);
+        stmt.run([uuidv4(), ...Object.values(row)]);
+        stmt.free();
+      }
+    }
+    db.run("INSERT INTO seeded_tables (name) VALUES (?)", [table]);
+    return `seed ${table}`;
+  }
+
+  const { table, column, definition } = migration;
+  const info = db.exec(`PRAGMA table_info(${table})`)[0];
+  const existing = info ? info.values.map((row) => row[1]) : [];
+  if (!existing.includes(column)) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+  return `ALTER TABLE ${table} ADD COLUMN ${column}`;
+}
+
 async function migrate() {
   console.log(`\n🗄️  Running GrocSplit migrations on: ${DB_PATH}\n`);
 
@@ -103,9 +404,8 @@ async function migrate() {
 
   db.run("PRAGMA foreign_keys = ON");
 
-  for (const sql of migrations) {
-    const preview = sql.trim().slice(0, 60).replace(/\s+/g, " ");
-    db.run(sql);
+  for (const migration of migrations) {
+    const preview = applyMigration(db, migration);
     console.log(`  ✓ ${preview}…`);
   }
 
@@ -7,7 +7,7 @@
  */
 
 require("dotenv").config();
-const { db, people, cycles, tx, dinners, receipts, uuidv4 } = require("./index");
+const { db, people, cycles, tx, dinners, receipts, payerDefaults, uuidv4 } = require("./index");
 
 console.log("\n🌱  Seeding GrocSplit database…\n");
 
@@ -36,6 +36,7 @@ db.transaction(() => {
   try {
     cycles.insert.run({
       id: cycleId,
+      period_type: "month",
       month_key: "2025-01",
       label: "January 2025",
       date_from: "2025-01-01",
@@ -47,18 +48,33 @@ db.transaction(() => {
     return;
   }
 
+  // ── Payer defaults ────────────────────────────────────────────────────────
+  // Alex holds the household Visa; the manual NoFrills run was paid by Taylor.
+  const cardHolder = allPeople[0];
+  if (cardHolder) {
+    payerDefaults.upsert.run({ source: "visa", person_id: cardHolder.id });
+    payerDefaults.upsert.run({ source: "csv", person_id: cardHolder.id });
+  }
+
   // ── Transactions ──────────────────────────────────────────────────────────
   const sampleTx = [
-    { merchant: "Loblaws",     amount: 127.43, date: "2025-01-04", source: "visa",    verified: 1 },
-    { merchant: "Whole Foods", amount: 89.12,  date: "2025-01-07", source: "visa",    verified: 0 },
-    { merchant: "Costco",      amount: 213.55, date: "2025-01-11", source: "visa",    verified: 1 },
-    { merchant: "FreshCo",     amount: 54.20,  date: "2025-01-14", source: "visa",    verified: 0 },
-    { merchant: "Metro",       amount: 102.87, date: "2025-01-19", source: "visa",    verified: 1 },
-    { merchant: "NoFrills",    amount: 78.34,  date: "2025-01-23", source: "receipt", verified: 1 },
+    { merchant: "Loblaws",     amount: 127.43, date: "2025-01-04", source: "visa",    verified: 1, payerIdx: 0 },
+    { merchant: "Whole Foods", amount: 89.12,  date: "2025-01-07", source: "visa",    verified: 0, payerIdx: 0 },
+    { merchant: "Costco",      amount: 213.55, date: "2025-01-11", source: "visa",    verified: 1, payerIdx: 0 },
+    { merchant: "FreshCo",     amount: 54.20,  date: "2025-01-14", source: "visa",    verified: 0, payerIdx: 0 },
+    { merchant: "Metro",       amount: 102.87, date: "2025-01-19", source: "visa",    verified: 1, payerIdx: 0 },
+    { merchant: "NoFrills",    amount: 78.34,  date: "2025-01-23", source: "receipt", verified: 1, payerIdx: 2 },
   ];
 
-  for (const t of sampleTx) {
-    tx.insert.run({ id: uuidv4(), cycle_id: cycleId, plaid_id: null, notes: null, ...t });
+  for (const { payerIdx, ...t } of sampleTx) {
+    tx.insert.run({
+      id: uuidv4(),
+      cycle_id: cycleId,
+      plaid_id: null,
+      notes: null,
+      payer_id: allPeople[payerIdx]?.id || null,
+      ...t,
+    });
     console.log(`  ✓ Transaction: ${t.merchant} $${t.amount}`);
   }
 
@@ -71,6 +87,8 @@ db.transaction(() => {
       person_id: p.id,
       dinner_count: dinnerCounts[i] || 0,
       notes: null,
+      weight: null,
+      set_weight: 0,
     });
     console.log(`  ✓ Dinners: ${p.name} → ${dinnerCounts[i]}`);
   });
@@ -91,6 +109,7 @@ db.transaction(() => {
       amount: r.amount,
       note: r.note,
       date: r.date,
+      pool_id: null,
     });
     console.log(`  ✓ Personal receipt: ${person.name} $${r.amount}`);
   }
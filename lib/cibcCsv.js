@@ -0,0 +1,161 @@
+/**
+ * lib/cibcCsv.js
+ * CIBC credit card CSV import, shared by the per-cycle import and the
+ * household import that files each row into the cycle covering its date.
+ */
+
+const {
+  tx, candidates, rules, uuidv4, defaultPayer, ensureAccount, findRefundTarget, classifyTransaction,
+} = require("../db");
+const { isValidDate } = require("./cyclePeriods");
+
+// ── CIBC CSV parser ──────────────────────────────────────────────────────────
+// CIBC CSV format: date,"vendor",debit,credit,card_number
+// Vendor field may contain commas and is RFC 4180 quoted.
+
+function parseCsvLine(line) {
+  const fields = [];
+  let i = 0;
+  while (i < line.length) {
+    if (line[i] === '"') {
+      // Quoted field — handle escaped quotes ("")
+      let field = "";
+      i++; // skip opening quote
+      while (i < line.length) {
+        if (line[i] === '"' && line[i + 1] === '"') { field += '"'; i += 2; }
+        else if (line[i] === '"') { i++; break; } // closing quote
+        else { field += line[i++]; }
+      }
+      if (i < line.length && line[i] === ',') i++; // skip comma
+      fields.push(field);
+    } else {
+      // Unquoted field
+      const start = i;
+      while (i < line.length && line[i] !== ',') i++;
+      fields.push(line.slice(start, i));
+      if (i < line.length) i++; // skip comma
+    }
+  }
+  return fields;
+}
+
+function parseCibcRow(line) {
+  // Expected: [date, vendor, debit, credit, card_number]
+  const fields = parseCsvLine(line);
+  if (fields.length < 3) return null;
+
+  const date     = fields[0].trim();
+  const merchant = fields[1].trim();
+  const debit    = fields[2].trim(); // positive = expense
+  const credit   = fields[3]?.trim() || ""; // positive = refund / credit
+  const card     = fields[4]?.trim() || ""; // masked, e.g. 4500********6473
+
+  if (!isValidDate(date)) return null; // shape alone lets 2025-13-45 through
+  if (!merchant) return null;
+
+  // Debits are stored as positive expenses, credits as negative amounts so
+  // they reduce the cycle total.
+  const debitAmount = parseFloat(debit);
+  const creditAmount = parseFloat(credit);
+  let amount;
+  if (debitAmount > 0) amount = debitAmount;
+  else if (creditAmount > 0) amount = -creditAmount;
+  else return null;
+
+  return { date, merchant, amount, card_number: card || null };
+}
+
+/**
+ * Import CIBC CSV text. Duplicates are skipped; credits are imported as
+ * negative refunds, linked to the matching purchase when one is found. Rows
+ * go through the grocery rules like Plaid sync: include rules import,
+ * exclude rules drop, and everything else waits in the review queue.
+ *
+ * Each remaining row is filed into `cycleFor(date)` — a cycle, or null when
+ * no cycle takes that date (counted as `unfiled`). Rows whose cycle is
+ * finalized are left out and counted as `locked`. Both are also listed in
+ * `unfiled_rows` / `locked_rows` so they can be reported.
+ */
+function importCibcCsv(csv, cycleFor) {
+  const lines = csv.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const result = {
+    added: 0, queued: 0, filtered: 0, skipped: 0, errors: 0, locked: 0, unfiled: 0,
+    locked_rows: [], unfiled_rows: [],
+  };
+  const ruleSet = rules.enabled.all();
+
+  for (const line of lines) {
+    // Skip header rows (any line that doesn't start with a date)
+    if (!/^\d{4}-\d{2}-\d{2}/.test(line)) continue;
+
+    const parsed = parseCibcRow(line);
+    if (!parsed) { result.errors++; continue; }
+
+    const { date, amount, card_number } = parsed;
+    const merchant = parsed.merchant.slice(0, 200);
+
+    // Deduplicate: generate a fingerprint stored as plaid_id
+    const fingerprint = `csv:${date}:${parsed.merchant}:${amount.toFixed(2)}`;
+    const existing = tx.byPlaidId.get({ plaid_id: fingerprint }) || candidates.byPlaidId.get({ plaid_id: fingerprint });
+    if (existing) { result.skipped++; continue; }
+
+    const { action } = classifyTransaction({ merchant, amount, category: null }, ruleSet);
+    if (action === "exclude") { result.filtered++; continue; }
+
+    const cycle = cycleFor(date);
+    if (!cycle) {
+      result.unfiled++;
+      result.unfiled_rows.push({ date, merchant, amount });
+      continue;
+    }
+    if (cycle.finalized) {
+      result.locked++;
+      result.locked_rows.push({ date, merchant, amount, cycle_id: cycle.id, cycle_label: cycle.label });
+      continue;
+    }
+
+    try {
+      // The card column tells multiple cards on one statement apart; its
+      // registered owner becomes the payer of record.
+      const account = card_number ? ensureAccount({ card_number }) : null;
+      if (action !== "include") {
+        candidates.insert.run({
+          id: uuidv4(),
+          cycle_id: cycle.id,
+          plaid_id: fingerprint,
+          account_id: account ? account.id : null,
+          date,
+          merchant,
+          amount,
+          category: null,
+          reason: action === "review" ? "borderline" : "no_match",
+          pending: 0,
+          source: "csv",
+        });
+        result.queued++;
+        continue;
+      }
+      tx.insert.run({
+        id: uuidv4(),
+        cycle_id: cycle.id,
+        plaid_id: fingerprint,
+        date,
+        merchant,
+        amount,
+        source: "csv",
+        notes: null,
+        payer_id: defaultPayer("csv", account),
+        account_id: account ? account.id : null,
+        refund_of: findRefundTarget({ cycle_id: cycle.id, merchant, amount, date }),
+      });
+      result.added++;
+    } catch (err) {
+      console.error("[CSV import] row error:", err.message, line);
+      result.errors++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { importCibcCsv };
@@ -0,0 +1,147 @@
+/**
+ * lib/cyclePeriods.js
+ * Date ranges for billing cycles. A cycle's period_type decides how its
+ * range is derived and how the following cycle continues it:
+ *   month     — a calendar month, 1st to last day
+ *   statement — a card statement period, from an anchor day (1–28) to the
+ *               day before the same anchor next month (e.g. 15th → 14th)
+ *   biweekly  — 14 days from the start date
+ *   custom    — any start and end date
+ *
+ * Dates are YYYY-MM-DD strings; the arithmetic runs in UTC so local
+ * timezone offsets never shift a day.
+ */
+
+const PERIOD_TYPES = ["month", "statement", "biweekly", "custom"];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (d) => d.toISOString().slice(0, 10);
+
+// A real calendar day in YYYY-MM-DD form. Never throws: "2025-13-01" parses
+// to an Invalid Date, and "2025-02-30" rolls over to March, so both are false.
+function isValidDate(date) {
+  if (typeof date !== "string" || !DATE_RE.test(date)) return false;
+  const d = parseDate(date);
+  if (Number.isNaN(d.getTime())) return false;
+  return formatDate(d) === date;
+}
+
+function addDays(date, days) {
+  const d = parseDate(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDate(d);
+}
+
+// Same day of the month, `months` later — only used for anchor days ≤ 28,
+// which exist in every month.
+function addMonths(date, months) {
+  const d = parseDate(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return formatDate(d);
+}
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / 86400000);
+
+function lastDayOfMonth(month_key) {
+  const [year, month] = month_key.split("-").map(Number);
+  return formatDate(new Date(Date.UTC(year, month, 0)));
+}
+
+// Today in the server's timezone, as the household sees it
+function localToday() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+}
+
+/** "October 2026" for month cycles, "Oct 15 – Nov 14, 2026" otherwise. */
+function periodLabel({ period_type, date_from, date_to }) {
+  const from = parseDate(date_from);
+  const to = parseDate(date_to);
+  if (period_type === "month") {
+    return from.toLocaleString("en-CA", { month: "long", year: "numeric", timeZone: "UTC" });
+  }
+  const short = (d, withYear) => d.toLocaleString("en-CA", {
+    month: "short", day: "numeric", timeZone: "UTC", ...(withYear && { year: "numeric" }),
+  });
+  const sameYear = from.getUTCFullYear() === to.getUTCFullYear();
+  return `${short(from, !sameYear)} – ${short(to, true)}`;
+}
+
+/**
+ * Resolve a requested period into { period } — period_type, date_from,
+ * date_to, month_key and label — or { error }. Month cycles accept either
+ * month_key ("YYYY-MM") or any date_from in the month; the others need
+ * date_from, and custom also date_to.
+ *
+ * month_key stays the cycle's unique key: "YYYY-MM" for month cycles and the
+ * start date for the rest, which can't collide because cycles don't overlap.
+ */
+function resolvePeriod({ period_type = "month", month_key, date_from, date_to, label }) {
+  if (!PERIOD_TYPES.includes(period_type)) {
+    return { error: `period_type must be one of: ${PERIOD_TYPES.join(", ")}` };
+  }
+
+  let period;
+  if (period_type === "month") {
+    const key = month_key || (isValidDate(date_from) ? date_from.slice(0, 7) : null);
+    if (!key || !/^\d{4}-(0[1-9]|1[0-2])$/.test(key)) {
+      return { error: "month_key must be YYYY-MM" };
+    }
+    period = { period_type, month_key: key, date_from: `${key}-01`, date_to: lastDayOfMonth(key) };
+  } else {
+    if (!isValidDate(date_from)) return { error: "date_from must be YYYY-MM-DD" };
+    if (period_type === "statement") {
+      if (Number(date_from.slice(8)) > 28) {
+        return { error: "Statement periods must start on day 1–28 so every month has the anchor day" };
+      }
+      date_to = addDays(addMonths(date_from, 1), -1);
+    } else if (period_type === "biweekly") {
+      date_to = addDays(date_from, 13);
+    } else if (!isValidDate(date_to)) {
+      return { error: "date_to must be YYYY-MM-DD" };
+    } else if (date_to < date_from) {
+      return { error: "date_to cannot be before date_from" };
+    }
+    period = { period_type, month_key: date_from, date_from, date_to };
+  }
+
+  const trimmed = typeof label === "string" ? label.trim() : "";
+  return { period: { ...period, label: trimmed || periodLabel(period) } };
+}
+
+/**
+ * The period containing `date` in the pattern `template` (a cycle) sets: the
+ * calendar month, the statement period with the same anchor day, or — for
+ * biweekly and custom cycles — the run of equal-length periods aligned to
+ * the template's start, before or after it. No template means months.
+ */
+function periodCovering(date, template) {
+  const period_type = template?.period_type || "month";
+  if (period_type === "month") return resolvePeriod({ period_type, date_from: date }).period;
+
+  if (period_type === "statement") {
+    let date_from = date.slice(0, 8) + template.date_from.slice(8);
+    if (date_from > date) date_from = addMonths(date_from, -1);
+    return resolvePeriod({ period_type, date_from }).period;
+  }
+
+  const length = daysBetween(template.date_from, template.date_to) + 1;
+  const date_from = addDays(template.date_from, Math.floor(daysBetween(template.date_from, date) / length) * length);
+  return resolvePeriod({ period_type, date_from, date_to: addDays(date_from, length - 1) }).period;
+}
+
+/** The period that follows `cycle`, continuing its pattern. */
+const nextPeriod = (cycle) => periodCovering(addDays(cycle.date_to, 1), cycle);
+
+module.exports = {
+  PERIOD_TYPES,
+  isValidDate,
+  addDays,
+  localToday,
+  periodLabel,
+  resolvePeriod,
+  periodCovering,
+  nextPeriod,
+};
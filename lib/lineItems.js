@@ -0,0 +1,72 @@
+/**
+ * lib/lineItems.js
+ * Receipt line items: the tag format they're stored with and a parser for
+ * receipt text pasted in one line per item.
+ *
+ * Each pasted line reads
+ *
+ *   [quantity x] product  [$]price  [#tag ...]
+ *
+ * e.g. "2 x Chicken thighs 12.99 #meat" or "Diapers $24.97 #baby". The
+ * price is what the line cost (the receipt's line total, not a unit price);
+ * discounts are negative ("Member savings -2.00"). Tags can sit anywhere on
+ * the line. Lines without a price at the end — headers, SUBTOTAL, blank
+ * lines — are reported back as skipped rather than guessed at.
+ */
+
+// Skipped even though they end in a price — they'd count the receipt twice
+const TOTAL_LINE = /^(sub\s*-?\s*total|total|tax|gst|hst|pst|change|cash|debit|visa|mastercard)\b/i;
+
+/**
+ * tags (array or comma-separated string) → sorted, lowercase, de-duplicated
+ * array. A leading # is dropped, so "#Meat, alcohol" → ["alcohol", "meat"].
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const clean = list.map((t) => String(t).trim().replace(/^#/, "").toLowerCase()).filter(Boolean);
+  return [...new Set(clean)].sort();
+}
+
+/**
+ * text → { items: [{ product, quantity, price, tags }], skipped: [{ line, text }] }
+ * `line` is 1-based, for pointing at the line that didn't parse.
+ */
+function parseLineItems(text) {
+  const items = [];
+  const skipped = [];
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const tags = [];
+    let rest = raw.replace(/#([\w-]+)/g, (_, tag) => { tags.push(tag); return " "; }).trim();
+    if (!rest) return;
+
+    const price = rest.match(/(-?)\s*\$?\s*(\d+(?:\.\d{1,2})?)\s*$/);
+    if (!price || TOTAL_LINE.test(rest)) {
+      skipped.push({ line: i + 1, text: raw.trim() });
+      return;
+    }
+    rest = rest.slice(0, price.index).trim();
+
+    let quantity = 1;
+    const qty = rest.match(/^(\d+(?:\.\d+)?)\s*[x×]\s+/i);
+    if (qty) {
+      quantity = Number(qty[1]);
+      rest = rest.slice(qty[0].length).trim();
+    }
+    if (!rest) {
+      skipped.push({ line: i + 1, text: raw.trim() });
+      return;
+    }
+
+    items.push({
+      product: rest,
+      quantity,
+      price: (price[1] ? -1 : 1) * Number(price[2]),
+      tags: normalizeTags(tags),
+    });
+  });
+
+  return { items, skipped };
+}
+
+module.exports = { normalizeTags, parseLineItems };
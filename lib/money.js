@@ -0,0 +1,52 @@
+/**
+ * lib/money.js
+ * Whole-cent arithmetic for the billing engine. Amounts are stored as
+ * dollars (REAL); they're converted to integer cents once on the way in, all
+ * sums and splits run on integers, and dollars come back out only for the
+ * response — so a column of shares adds up to its total exactly.
+ */
+
+const toCents = (dollars) => Math.round(Number(dollars) * 100);
+const toDollars = (cents) => cents / 100;
+const sumCents = (rows, field = "amount") => rows.reduce((s, r) => s + toCents(r[field]), 0);
+
+// The rule allocateCents applies, as reported with every bill
+const ALLOCATION_RULE =
+  "Amounts are split in whole cents. Each person first gets their exact share rounded toward zero; " +
+  "the cents left over go one each to the largest remainders, ties to the name that sorts first.";
+
+/**
+ * Split `totalCents` across `shares` ([{ key, weight, name }]) in proportion
+ * to weight, by largest remainder. The result always sums to totalCents
+ * (unless every weight is 0, when nothing is allocated). A negative total —
+ * a cycle of refunds — is split as its absolute value and negated.
+ *   → Map(key → cents)
+ */
+function allocateCents(totalCents, shares) {
+  const out = new Map(shares.map((s) => [s.key, 0]));
+  const totalWeight = shares.reduce((s, x) => s + x.weight, 0);
+  if (totalWeight <= 0 || totalCents === 0) return out;
+
+  const sign = Math.sign(totalCents);
+  const amount = Math.abs(totalCents);
+  const parts = shares.map((s) => {
+    const exact = (amount * s.weight) / totalWeight;
+    const floor = Math.floor(exact);
+    return { ...s, floor, remainder: exact - floor };
+  });
+
+  let left = amount - parts.reduce((s, p) => s + p.floor, 0);
+  const order = [...parts].sort((a, b) =>
+    b.remainder - a.remainder || (a.name || "").localeCompare(b.name || "") || String(a.key).localeCompare(String(b.key)));
+  for (const p of order) {
+    if (left === 0) break;
+    if (p.weight <= 0) continue;
+    p.floor += 1;
+    left -= 1;
+  }
+
+  for (const p of parts) out.set(p.key, sign * p.floor);
+  return out;
+}
+
+module.exports = { toCents, toDollars, sumCents, allocateCents, ALLOCATION_RULE };
@@ -0,0 +1,25 @@
+/**
+ * lib/plaidClient.js
+ * Builds the Plaid API client for the configured PLAID_ENV. "mock" swaps in
+ * the offline fixture-driven client from lib/plaidMock.js so the Link → sync
+ * flow can be exercised without credentials or network access.
+ */
+
+const { PlaidApi, PlaidEnvironments, Configuration } = require("plaid");
+const { MockPlaidClient } = require("./plaidMock");
+
+function createPlaidClient(env = process.env.PLAID_ENV || "sandbox") {
+  if (env === "mock") return new MockPlaidClient();
+
+  return new PlaidApi(new Configuration({
+    basePath: PlaidEnvironments[env],
+    baseOptions: {
+      headers: {
+        "PLAID-CLIENT-ID": process.env.PLAID_CLIENT_ID,
+        "PLAID-SECRET": process.env.PLAID_SECRET,
+      },
+    },
+  }));
+}
+
+module.exports = { createPlaidClient };
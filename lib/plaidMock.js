@@ -0,0 +1,203 @@
+/**
+ * lib/plaidMock.js
+ * Offline stand-in for PlaidApi, used when PLAID_ENV=mock. Implements the
+ * handful of endpoints GrocSplit calls, driven by JSON fixtures — one file per
+ * mock institution in lib/plaid-fixtures/ (or PLAID_MOCK_FIXTURES).
+ *
+ * Fixture format:
+ *   {
+ *     "institution": "CIBC (mock)",
+ *     "accounts": [{ "id": "visa", "name": "Visa", "mask": "6473", "type": "credit" }],
+ *     "transactions": [{ "id": "t1", "account": "visa", "name": "LOBLAWS #123",
+ *                        "amount": 54.21, "days_ago": 3, "pending": false,
+ *                        "personal_finance_category": { "primary": "...", "detailed": "..." } }],
+ *     "later": [{ "added": [...], "modified": [...], "removed": ["t1"] }]
+ *   }
+ *
+ * Dates are relative (days_ago) so the fixtures always land in the current
+ * cycle. /transactions/sync returns `transactions` on the first call and one
+ * `later` batch per call after that, so pending → posted, corrections and
+ * removals can be replayed by pressing Sync Now repeatedly.
+ *
+ * Tokens are self-describing — public-mock-<fixture>-<nonce> and
+ * access-mock-<fixture>-<nonce> — so no state is kept in memory and linked
+ * items survive a server restart. The fake Link picks the nonce (8 hex
+ * digits), which lets it report the final account ids in its metadata just as
+ * real Link does.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURE_DIR = process.env.PLAID_MOCK_FIXTURES || path.join(__dirname, "plaid-fixtures");
+
+// Errors carry the same shape as the real client's (err.response.data) so
+// the routes' error handling is exercised too.
+function plaidError(error_code, error_message) {
+  const err = new Error(error_message);
+  err.response = { status: 400, data: { error_type: "INVALID_INPUT", error_code, error_message } };
+  return err;
+}
+
+function loadFixtures() {
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => ({ id: path.basename(f, ".json"), ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, f), "utf8")) }));
+}
+
+function loadFixture(id) {
+  const fixture = loadFixtures().find((f) => f.id === id);
+  if (!fixture) throw plaidError("INVALID_PUBLIC_TOKEN", `No mock fixture named "${id}"`);
+  return fixture;
+}
+
+// <kind>-mock-<fixture>-<nonce> → { fixture, nonce }
+function parseToken(token, kind) {
+  const m = new RegExp(`^${kind}-mock-(.+)-([0-9a-f]{8})$`).exec(token || "");
+  if (!m) {
+    const code = kind === "public" ? "INVALID_PUBLIC_TOKEN" : "INVALID_ACCESS_TOKEN";
+    throw plaidError(code, `Not a mock ${kind} token`);
+  }
+  return { fixture: loadFixture(m[1]), nonce: m[2] };
+}
+
+const parseAccessToken = (access_token) => parseToken(access_token, "access");
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+}
+
+// Fixture ids are prefixed with the item's nonce so linking the same fixture
+// twice yields distinct accounts and transactions, as two real logins would.
+function toPlaidAccount(a, nonce) {
+  return {
+    account_id: `mock-${nonce}-${a.id}`,
+    name: a.name,
+    official_name: a.official_name || a.name,
+    mask: a.mask,
+    type: a.type || "credit",
+    subtype: a.subtype || (a.type === "depository" ? "checking" : "credit card"),
+  };
+}
+
+function toPlaidTransaction(t, nonce) {
+  const date = daysAgo(t.days_ago || 0);
+  return {
+    transaction_id: `mock-${nonce}-${t.id}`,
+    pending_transaction_id: t.pending_transaction_id ? `mock-${nonce}-${t.pending_transaction_id}` : null,
+    account_id: `mock-${nonce}-${t.account}`,
+    amount: t.amount,
+    iso_currency_code: "CAD",
+    date,
+    authorized_date: date,
+    name: t.name,
+    merchant_name: t.merchant_name || null,
+    pending: !!t.pending,
+    category: t.category || null,
+    personal_finance_category: t.personal_finance_category || null,
+  };
+}
+
+// Initial transactions followed by each `later` batch, in delivery order
+function batchesFor(fixture) {
+  return [{ added: fixture.transactions || [] }, ...(fixture.later || [])];
+}
+
+class MockPlaidClient {
+  /** Institutions the fake Link screen offers, with their accounts. */
+  mockInstitutions() {
+    return loadFixtures().map((f) => ({
+      id: f.id,
+      name: f.institution,
+      accounts: f.accounts.map((a) => ({ id: a.id, name: a.name, mask: a.mask })),
+    }));
+  }
+
+  // Update mode passes the item's access_token instead of products
+  async linkTokenCreate({ access_token } = {}) {
+    if (access_token) parseAccessToken(access_token);
+    return {
+      data: {
+        link_token: `link-mock-${Date.now()}`,
+        expiration: new Date(Date.now() + 4 * 3600000).toISOString(),
+      },
+    };
+  }
+
+  async itemPublicTokenExchange({ public_token }) {
+    const { fixture, nonce } = parseToken(public_token, "public");
+    return {
+      data: {
+        access_token: `access-mock-${fixture.id}-${nonce}`,
+        item_id: `item-mock-${fixture.id}-${nonce}`,
+      },
+    };
+  }
+
+  async accountsGet({ access_token }) {
+    const { fixture, nonce } = parseAccessToken(access_token);
+    return { data: { accounts: fixture.accounts.map((a) => toPlaidAccount(a, nonce)) } };
+  }
+
+  // Cursor is "mock:<batch>:<offset>"; one batch is delivered per call, paged
+  // by `count` like the real endpoint.
+  async transactionsSync({ access_token, cursor, count = 100 }) {
+    const { fixture, nonce } = parseAccessToken(access_token);
+    const batches = batchesFor(fixture);
+    const [, batchStr = "0", offsetStr = "0"] = (cursor || "").split(":");
+    const batchIdx = Number(batchStr);
+    const offset = Number(offsetStr);
+
+    if (batchIdx >= batches.length) {
+      return { data: { added: [], modified: [], removed: [], has_more: false, next_cursor: cursor } };
+    }
+
+    const batch = batches[batchIdx];
+    const added = (batch.added || []).slice(offset, offset + count);
+    const done = offset + count >= (batch.added || []).length;
+    return {
+      data: {
+        added: added.map((t) => toPlaidTransaction(t, nonce)),
+        modified: done ? (batch.modified || []).map((t) => toPlaidTransaction(t, nonce)) : [],
+        removed: done ? (batch.removed || []).map((id) => ({ transaction_id: `mock-${nonce}-${id}` })) : [],
+        has_more: !done,
+        next_cursor: done ? `mock:${batchIdx + 1}:0` : `mock:${batchIdx}:${offset + count}`,
+      },
+    };
+  }
+
+  // Everything the item has ever delivered, with corrections and removals
+  // applied, filtered to the date range.
+  async transactionsGet({ access_token, start_date, end_date, options = {} }) {
+    const { fixture, nonce } = parseAccessToken(access_token);
+    const byId = new Map();
+    for (const batch of batchesFor(fixture)) {
+      for (const t of [...(batch.added || []), ...(batch.modified || [])]) {
+        // Posting replaces the pending transaction, as in Plaid
+        if (t.pending_transaction_id) byId.delete(t.pending_transaction_id);
+        byId.set(t.id, t);
+      }
+      for (const id of batch.removed || []) byId.delete(id);
+    }
+    const transactions = [...byId.values()]
+      .map((t) => toPlaidTransaction(t, nonce))
+      .filter((t) => t.date >= start_date && t.date <= end_date)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const offset = options.offset || 0;
+    const count = options.count || 100;
+    return {
+      data: {
+        accounts: fixture.accounts.map((a) => toPlaidAccount(a, nonce)),
+        transactions: transactions.slice(offset, offset + count),
+        total_transactions: transactions.length,
+      },
+    };
+  }
+
+  async itemRemove({ access_token }) {
+    parseAccessToken(access_token);
+    return { data: { request_id: `mock-${Date.now()}` } };
+  }
+}
+
+module.exports = { MockPlaidClient };
@@ -0,0 +1,60 @@
+/**
+ * lib/plaidWebhook.js
+ * Checks the Plaid-Verification header Plaid sends with every webhook: an
+ * ES256-signed JWT whose payload carries the SHA-256 of the request body.
+ * The signing key is fetched by key id from /webhook_verification_key/get
+ * and cached for the life of the process.
+ * https://plaid.com/docs/api/webhooks/webhook-verification/
+ */
+
+const crypto = require("crypto");
+
+// Plaid recommends rejecting webhooks signed more than five minutes ago
+const MAX_AGE_SECONDS = 5 * 60;
+
+const keyCache = new Map(); // key id → KeyObject
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+async function signingKey(plaidClient, kid) {
+  if (keyCache.has(kid)) return keyCache.get(kid);
+  const { data } = await plaidClient.webhookVerificationKeyGet({ key_id: kid });
+  const { kty, crv, x, y } = data.key;
+  const key = crypto.createPublicKey({ key: { kty, crv, x, y }, format: "jwk" });
+  keyCache.set(kid, key);
+  return key;
+}
+
+/**
+ * Resolves if `token` (the Plaid-Verification header) is a valid, recent
+ * signature over `rawBody`; rejects with the reason otherwise.
+ */
+async function verifyPlaidWebhook(plaidClient, token, rawBody) {
+  if (!token) throw new Error("Missing Plaid-Verification header");
+  const [headerB64, payloadB64, signatureB64] = token.split(".");
+  if (!headerB64 || !payloadB64 || !signatureB64) throw new Error("Malformed verification token");
+
+  const header = decodeSegment(headerB64);
+  if (header.alg !== "ES256") throw new Error(`Unexpected signing algorithm ${header.alg}`);
+
+  const key = await signingKey(plaidClient, header.kid);
+  const signed = crypto.verify(
+    "sha256",
+    Buffer.from(`${headerB64}.${payloadB64}`),
+    { key, dsaEncoding: "ieee-p1363" }, // JWS signatures are raw r‖s, not DER
+    Buffer.from(signatureB64, "base64url")
+  );
+  if (!signed) throw new Error("Signature does not match");
+
+  const payload = decodeSegment(payloadB64);
+  if (Date.now() / 1000 - payload.iat > MAX_AGE_SECONDS) throw new Error("Webhook is too old");
+
+  const bodyHash = crypto.createHash("sha256").update(rawBody || "").digest("hex");
+  const claimed = String(payload.request_body_sha256 || "");
+  if (claimed.length !== bodyHash.length ||
+      !crypto.timingSafeEqual(Buffer.from(claimed), Buffer.from(bodyHash))) {
+    throw new Error("Body hash does not match");
+  }
+}
+
+module.exports = { verifyPlaidWebhook };
@@ -0,0 +1,57 @@
+/**
+ * lib/settlement.js
+ * Turns a bill's closing balances into a short list of transfers that
+ * squares everyone. A closing balance already nets out what each person
+ * paid — shared transactions they're the payer of, their receipts and any
+ * payments so far — so whoever fronted the groceries is who gets paid back.
+ *
+ * Works in whole cents. Pairs whose amounts match exactly settle in one
+ * transfer first; the rest go greedily, largest debt to largest credit.
+ * That needs at most (people − 1) transfers and, unlike a true minimum
+ * (which is NP-hard), is predictable enough to explain in a group chat.
+ */
+
+const { toCents, toDollars } = require("./money");
+
+/**
+ * billRows: computeBill rows (person_id, person_name, closing_balance)
+ *   → { transfers: [{ from_id, from_name, to_id, to_name, amount }], unsettled }
+ * Positive balances owe, negative ones are owed. `unsettled` is what can't be
+ * matched because the balances don't net to zero (e.g. charges with no payer).
+ */
+function settleUp(billRows) {
+  const side = (sign) => billRows
+    .map((r) => ({ id: r.person_id, name: r.person_name, cents: sign * toCents(r.closing_balance ?? r.balance) }))
+    .filter((p) => p.cents > 0)
+    .sort((a, b) => b.cents - a.cents || a.name.localeCompare(b.name));
+  const debtors = side(1);
+  const creditors = side(-1);
+  const transfers = [];
+
+  const pay = (debtor, creditor, cents) => {
+    transfers.push({
+      from_id: debtor.id, from_name: debtor.name,
+      to_id: creditor.id, to_name: creditor.name,
+      amount: toDollars(cents),
+    });
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+  };
+
+  for (const debtor of debtors) {
+    const match = creditors.find((c) => c.cents === debtor.cents);
+    if (match) pay(debtor, match, debtor.cents);
+  }
+
+  for (;;) {
+    const debtor = debtors.filter((p) => p.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    const creditor = creditors.filter((p) => p.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    if (!debtor || !creditor) break;
+    pay(debtor, creditor, Math.min(debtor.cents, creditor.cents));
+  }
+
+  const left = [...debtors, ...creditors].reduce((s, p) => s + p.cents, 0);
+  return { transfers, unsettled: toDollars(left) };
+}
+
+module.exports = { settleUp };
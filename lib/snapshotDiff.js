@@ -0,0 +1,72 @@
+/**
+ * lib/snapshotDiff.js
+ * Compares two bill snapshots of the same cycle (see bill_snapshots in
+ * db/migrate.js) and lists every number that moved between versions:
+ *
+ *   {
+ *     from_version, to_version, changed,
+ *     bill:         [{ field, from, to }],                    — totals
+ *     people:       [{ id, label, status, changes | values }],
+ *     transactions: [...same shape],
+ *     receipts:     [...same shape],
+ *   }
+ *
+ * status is "added", "removed" or "changed"; changed rows list their field
+ * changes, added and removed rows the values they had.
+ */
+
+const BILL_FIELDS = ["total", "personalTotal", "totalDinners", "unassignedTotal", "pendingCount", "pendingTotal"];
+const PERSON_FIELDS = [
+  "person_name", "dinner_count", "weight", "pct", "personal", "excluded_amount", "owes", "paid_shared", "paid_receipts", "paid", "balance",
+  "opening_balance", "payments_sent", "payments_received", "closing_balance",
+];
+const TX_FIELDS = ["date", "merchant", "amount", "payer_name", "pending", "refund_of", "pool_name", "split_count"];
+const RECEIPT_FIELDS = ["date", "person_name", "amount", "note", "pool_name"];
+
+// Money is compared to the cent so float noise isn't reported as a change
+function same(a, b) {
+  if (typeof a === "number" && typeof b === "number") return Math.round(a * 100) === Math.round(b * 100);
+  return (a ?? null) === (b ?? null);
+}
+
+const pick = (row, fields) => Object.fromEntries(fields.map((f) => [f, row[f] ?? null]));
+
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter((f) => !same(before[f], after[f]))
+    .map((f) => ({ field: f, from: before[f] ?? null, to: after[f] ?? null }));
+}
+
+function diffRows(before, after, key, fields, label) {
+  const previous = new Map(before.map((row) => [row[key], row]));
+  const current = new Map(after.map((row) => [row[key], row]));
+  const out = [];
+  for (const [id, row] of current) {
+    const old = previous.get(id);
+    if (!old) {
+      out.push({ id, label: label(row), status: "added", values: pick(row, fields) });
+      continue;
+    }
+    const changes = fieldChanges(old, row, fields);
+    if (changes.length > 0) out.push({ id, label: label(row), status: "changed", changes });
+  }
+  for (const [id, row] of previous) {
+    if (!current.has(id)) out.push({ id, label: label(row), status: "removed", values: pick(row, fields) });
+  }
+  return out;
+}
+
+function diffSnapshots(previous, next) {
+  const diff = {
+    from_version: previous.version,
+    to_version: next.version,
+    bill: fieldChanges(previous.bill, next.bill, BILL_FIELDS),
+    people: diffRows(previous.bill.billRows, next.bill.billRows, "person_id", PERSON_FIELDS, (r) => r.person_name),
+    transactions: diffRows(previous.transactions, next.transactions, "id", TX_FIELDS, (t) => `${t.date} ${t.merchant}`),
+    receipts: diffRows(previous.receipts, next.receipts, "id", RECEIPT_FIELDS, (r) => `${r.date} ${r.person_name}`),
+  };
+  diff.changed = ["bill", "people", "transactions", "receipts"].some((k) => diff[k].length > 0);
+  return diff;
+}
+
+module.exports = { diffSnapshots };
@@ -0,0 +1,81 @@
+/**
+ * lib/tokenCrypto.js
+ * AES-256-GCM encryption for Plaid access tokens stored in plaid_items, so a
+ * copied grocsplit.db is useless without the key.
+ *
+ * The key is 32 bytes, given as 64 hex characters either in PLAID_TOKEN_KEY
+ * or in a keyfile (PLAID_TOKEN_KEYFILE, default ./plaid-token.key). When
+ * neither exists a keyfile is generated on first use. Keep the keyfile out of
+ * git and out of any copy of the database.
+ *
+ * Stored format: enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, base64url
+ * parts. The key id (a hash prefix of the key) lets decryption say "wrong
+ * key" rather than failing obscurely. Values without the enc: prefix are
+ * plaintext tokens from before encryption and are returned as-is.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PREFIX = "enc:v1:";
+
+const keyFilePath = () => path.resolve(process.env.PLAID_TOKEN_KEYFILE || "./plaid-token.key");
+
+const keyId = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+function parseKey(hex, source) {
+  const trimmed = String(hex).trim();
+  if (!/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+    throw new Error(`${source} must be 64 hex characters (32 bytes)`);
+  }
+  return Buffer.from(trimmed, "hex");
+}
+
+const generateKey = () => crypto.randomBytes(32);
+
+// Write a key file readable by the owner only
+function writeKeyFile(file, key) {
+  fs.writeFileSync(file, key.toString("hex") + "\n", { mode: 0o600 });
+}
+
+/**
+ * The active token key and where it came from:
+ *   { key, source: "env" | "file", file? }
+ * Creates the keyfile if there is no key yet.
+ */
+function loadTokenKey() {
+  if (process.env.PLAID_TOKEN_KEY) {
+    return { key: parseKey(process.env.PLAID_TOKEN_KEY, "PLAID_TOKEN_KEY"), source: "env" };
+  }
+  const file = keyFilePath();
+  if (!fs.existsSync(file)) {
+    writeKeyFile(file, generateKey());
+    console.warn(`[tokenCrypto] Generated a new Plaid token key at ${file} — back it up; tokens can't be read without it`);
+  }
+  return { key: parseKey(fs.readFileSync(file, "utf8"), file), source: "file", file };
+}
+
+const isEncrypted = (stored) => typeof stored === "string" && stored.startsWith(PREFIX);
+
+function encryptToken(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return PREFIX + [keyId(key), iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === "string" ? part : part.toString("base64url")))
+    .join(":");
+}
+
+function decryptToken(stored, key) {
+  if (!isEncrypted(stored)) return stored;
+  const [kid, iv, tag, ciphertext] = stored.slice(PREFIX.length).split(":");
+  if (kid !== keyId(key)) {
+    throw new Error(`Plaid token was encrypted with a different key (id ${kid}, current ${keyId(key)})`);
+  }
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+}
+
+module.exports = { loadTokenKey, generateKey, writeKeyFile, keyId, isEncrypted, encryptToken, decryptToken };
@@ -0,0 +1,96 @@
+/**
+ * routes/accounts.js
+ * Card & account registry: links a masked card number (CIBC CSV) or a Plaid
+ * account to the household member who owns it. Imports use the owner as the
+ * payer of record.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { accounts, people, plaid: plaidDb, uuidv4 } = require("../db");
+
+// GET /api/accounts
+router.get("/", (req, res) => {
+  try {
+    res.json(accounts.all.all());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/accounts  { card_number, label, person_id }
+// Register a card before its first import. Plaid accounts register themselves
+// when a bank is linked.
+router.post("/", (req, res) => {
+  const { card_number, label, person_id } = req.body;
+  if (!card_number || !card_number.trim()) {
+    return res.status(400).json({ error: "card_number is required" });
+  }
+  if (person_id && !people.byId.get(person_id)) {
+    return res.status(400).json({ error: "Unknown person_id" });
+  }
+  const cardNumber = card_number.trim();
+  try {
+    const id = uuidv4();
+    accounts.insert.run({
+      id,
+      kind: "card",
+      card_number: cardNumber,
+      plaid_account_id: null,
+      label: label?.trim() || null,
+      mask: cardNumber.slice(-4),
+      person_id: person_id || null,
+    });
+    res.status(201).json(accounts.byId.get(id));
+  } catch (err) {
+    if (err.message.includes("UNIQUE")) {
+      return res.status(409).json({ error: "That card is already registered." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/accounts/:id  { label?, person_id?, sync_enabled? }
+// Assigning an owner also credits them on this account's unassigned rows in
+// open cycles. Re-enabling a Plaid account restarts its item's sync cursor so
+// transactions skipped while it was excluded are pulled in.
+router.patch("/:id", (req, res) => {
+  const account = accounts.byId.get(req.params.id);
+  if (!account) return res.status(404).json({ error: "Account not found" });
+
+  const { label, person_id, sync_enabled } = req.body;
+  if (person_id && !people.byId.get(person_id)) {
+    return res.status(400).json({ error: "Unknown person_id" });
+  }
+  try {
+    const next = {
+      id: account.id,
+      label: label !== undefined ? (label?.trim() || null) : account.label,
+      person_id: person_id !== undefined ? (person_id || null) : account.person_id,
+      sync_enabled: sync_enabled !== undefined ? (sync_enabled ? 1 : 0) : account.sync_enabled,
+    };
+    accounts.update.run(next);
+    if (next.person_id) {
+      accounts.backfillPayer.run({ id: account.id, person_id: next.person_id });
+    }
+    if (next.sync_enabled && !account.sync_enabled && account.plaid_item_id) {
+      plaidDb.resetCursor.run({ item_id: account.plaid_item_id });
+    }
+    res.json(accounts.byId.get(account.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/accounts/:id
+// Transactions keep their payer; they just lose the link to the card.
+router.delete("/:id", (req, res) => {
+  try {
+    accounts.delete.run(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
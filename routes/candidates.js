@@ -0,0 +1,96 @@
+/**
+ * routes/candidates.js
+ * Grocery review queue: bank and CSV transactions no grocery rule matched, or
+ * that only a review rule matched. Accepting one files it as a transaction;
+ * rejecting keeps it out of future syncs and imports for good.
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // inherits :cycleId from parent
+const { candidates, tx, accounts, uuidv4, defaultPayer, findRefundTarget } = require("../db");
+const { requireOpenCycle } = require("../lib/cycleLock");
+
+const requireOpen = requireOpenCycle("cycleId");
+
+// GET /api/cycles/:cycleId/candidates?status=open|rejected
+router.get("/", (req, res) => {
+  const status = req.query.status === "rejected" ? "rejected" : "open";
+  try {
+    res.json(candidates.byCycle.all({ cycle_id: req.params.cycleId, status }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Look up an open candidate in req.cycle (set by requireOpen), replying with
+// the error if it's missing or was already rejected. Returns null when a
+// response was sent.
+function loadCandidate(req, res) {
+  const candidate = candidates.byId.get({ id: req.params.id });
+  if (!candidate || candidate.cycle_id !== req.cycle.id) {
+    res.status(404).json({ error: "Candidate not found" });
+    return null;
+  }
+  if (candidate.status === "rejected") {
+    res.status(409).json({ error: "Candidate was rejected" });
+    return null;
+  }
+  return candidate;
+}
+
+// POST /api/cycles/:cycleId/candidates/:id/accept
+// Moves the candidate into transactions exactly as sync or CSV import would
+// have filed it.
+router.post("/:id/accept", requireOpen, (req, res) => {
+  const candidate = loadCandidate(req, res);
+  if (!candidate) return;
+
+  try {
+    const account = candidate.account_id ? accounts.byId.get(candidate.account_id) : null;
+    tx.insert.run({
+      id: uuidv4(),
+      cycle_id: candidate.cycle_id,
+      plaid_id: candidate.plaid_id,
+      date: candidate.date,
+      merchant: candidate.merchant,
+      amount: candidate.amount,
+      source: candidate.source,
+      notes: null,
+      payer_id: defaultPayer(candidate.source, account),
+      account_id: candidate.account_id,
+      refund_of: findRefundTarget(candidate),
+      pending: candidate.pending,
+      category: candidate.category,
+    });
+    candidates.delete.run({ id: candidate.id });
+    res.json(tx.byCycle.all(candidate.cycle_id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cycles/:cycleId/candidates/:id/reject
+router.post("/:id/reject", requireOpen, (req, res) => {
+  const candidate = loadCandidate(req, res);
+  if (!candidate) return;
+
+  try {
+    candidates.reject.run({ id: candidate.id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cycles/:cycleId/candidates/reject-all
+// Clears the queue once the real groceries have been accepted.
+router.post("/reject-all", requireOpen, (req, res) => {
+  try {
+    candidates.rejectAllOpen.run({ cycle_id: req.cycle.id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
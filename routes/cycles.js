@@ -1,13 +1,42 @@
 /**
  * routes/cycles.js
- * Create and manage monthly billing cycles.
+ * Create and manage billing cycles. A cycle covers a calendar month, a card
+ * statement period, two weeks or a custom range — see lib/cyclePeriods.js.
+ * Writes to a finalized cycle are refused by requireOpenCycle (lib/cycleLock.js).
  */
 
 const express = require("express");
 const router = express.Router();
-const { cycles, dinners, receipts, tx, people, uuidv4, computeBill } = require("../db");
+const {
+  cycles, dinners, receipts, pools, payments, tx, lineItems, candidates, audit, uuidv4, computeBill, createCycle, cycleForDate, ensureCurrentCycle,
+  cycleBill, snapshotCycle, latestSnapshot, cycleSnapshots, cyclePools, cycleLineItems, cycleSplits,
+} = require("../db");
+const { requireOpenCycle } = require("../lib/cycleLock");
+const { resolvePeriod, nextPeriod } = require("../lib/cyclePeriods");
+const { importCibcCsv } = require("../lib/cibcCsv");
+const { settleUp } = require("../lib/settlement");
 
-// GET /api/cycles  — list all (most recent first)
+// Reply 409 if the period shares days with another cycle. Returns true when
+// a response was sent.
+function rejectOverlap(res, period, id = null) {
+  const clash = cycles.overlapping.all({ id, date_from: period.date_from, date_to: period.date_to });
+  if (clash.length === 0) return false;
+  res.status(409).json({
+    error: `Overlaps ${clash.map((c) => `${c.label} (${c.date_from} → ${c.date_to})`).join(", ")}`,
+    cycles: clash,
+  });
+  return true;
+}
+
+// Reply 400 unless poolId is empty or one of this cycle's pools. Returns true
+// when a response was sent.
+function rejectPool(res, cycle, poolId) {
+  if (!poolId || pools.byId.get(poolId)?.cycle_id === cycle.id) return false;
+  res.status(400).json({ error: "Unknown pool_id for this cycle" });
+  return true;
+}
+
+// GET /api/cycles  — list all (latest period first)
 router.get("/", (req, res) => {
   try {
     res.json(cycles.all.all());
@@ -16,77 +45,172 @@ router.get("/", (req, res) => {
   }
 });
 
-// POST /api/cycles  { month_key: "2025-01" }
-// Creates a new cycle for the given month. Automatically sets date_from/date_to
-// to the first and last day of that month.
+// POST /api/cycles
+//   { month_key: "2025-01" }                                  — calendar month
+//   { period_type: "statement", date_from: "2025-01-15" }     — 15th → 14th
+//   { period_type: "biweekly", date_from }                    — 14 days
+//   { period_type: "custom", date_from, date_to, label? }
+// date_from/date_to are derived from the period type; the new cycle may not
+// overlap an existing one.
 router.post("/", (req, res) => {
-  const { month_key } = req.body; // "YYYY-MM"
-  if (!month_key || !/^\d{4}-\d{2}$/.test(month_key)) {
-    return res.status(400).json({ error: "month_key must be YYYY-MM" });
-  }
+  try {
+    const { period, error } = resolvePeriod(req.body || {});
+    if (error) return res.status(400).json({ error });
 
-  // Prevent duplicates
-  const existing = cycles.byMonthKey.get(month_key);
-  if (existing) {
-    return res.status(409).json({ error: "A cycle for that month already exists.", cycle: existing });
+    // Prevent duplicates
+    const existing = cycles.byMonthKey.get(period.month_key);
+    if (existing) {
+      return res.status(409).json({ error: "A cycle for that period already exists.", cycle: existing });
+    }
+    if (rejectOverlap(res, period)) return;
+
+    res.status(201).json(createCycle(period));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const [year, month] = month_key.split("-").map(Number);
-  const lastDay = new Date(year, month, 0).getDate();
-  const date_from = `${month_key}-01`;
-  const date_to = `${month_key}-${String(lastDay).padStart(2, "0")}`;
+// POST /api/cycles/current
+// The cycle covering today, created if missing by continuing the latest
+// cycle's period (a calendar month when there are none). 404 when today
+// can't get a cycle without overlapping one — e.g. a later cycle exists.
+router.post("/current", (req, res) => {
+  try {
+    const cycle = ensureCurrentCycle();
+    if (!cycle) return res.status(404).json({ error: "No cycle covers today" });
+    res.json(cycle);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  const monthLabel = new Date(year, month - 1, 1).toLocaleString("en-CA", {
-    month: "long",
-    year: "numeric",
-  });
+// POST /api/cycles/import-csv  { csv: "<raw csv text>", create_missing?: true }
+// Household-wide CIBC CSV import: each row is filed into the cycle covering
+// its date. With create_missing, dates no cycle covers get one (in the latest
+// cycle's pattern); otherwise they are reported in unfiled_rows. Rows that
+// belong to finalized cycles are reported in locked_rows, never imported.
+router.post("/import-csv", (req, res) => {
+  const { csv, create_missing } = req.body || {};
+  if (!csv || typeof csv !== "string") {
+    return res.status(400).json({ error: "csv field required" });
+  }
 
   try {
-    const id = uuidv4();
-    cycles.insert.run({ id, month_key, label: monthLabel, date_from, date_to });
-
-    // Pre-seed a dinner_entry row for every active person in this new cycle
-    const activePeople = people.all.all();
-    for (const p of activePeople) {
-      dinners.upsert.run({
-        id: uuidv4(),
-        cycle_id: id,
-        person_id: p.id,
-        dinner_count: 0,
-        notes: null,
-      });
-    }
+    const created = [];
+    const result = importCibcCsv(csv, (date) => cycleForDate(date, { create: !!create_missing, created }));
+    res.json({ ...result, cycles_created: created });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.status(201).json(cycles.byId.get(id));
+// GET /api/cycles/next  — the period after the latest cycle, to prefill "New Cycle"
+router.get("/next", (req, res) => {
+  try {
+    const latest = cycles.latest.get();
+    res.json(latest ? nextPeriod(latest) : null);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/cycles/:id  — cycle detail including transactions, dinners, receipts, bill
+// GET /api/cycles/:id  — cycle detail including transactions, their split lines, line items, dinners,
+// receipts, pools, payments, review queue, bill
 router.get("/:id", (req, res) => {
   try {
     const cycle = cycles.byId.get(req.params.id);
     if (!cycle) return res.status(404).json({ error: "Cycle not found" });
 
     const transactions = tx.byCycle.all(req.params.id);
+    const transactionSplits = cycleSplits(req.params.id);
+    const items = cycleLineItems(req.params.id);
     const dinnerEntries = dinners.byCycle.all(req.params.id);
     const personalReceipts = receipts.byCycle.all(req.params.id);
+    const cyclePayments = payments.byCycle.all({ cycle_id: req.params.id });
+    const expensePools = cyclePools(req.params.id);
+    const reviewQueue = candidates.byCycle.all({ cycle_id: req.params.id, status: "open" });
     const bill = computeBill(req.params.id);
+    // The frozen bill from the last finalize; the live figures above can
+    // drift from it (renames, forced edits) but history reads this.
+    const snapshot = latestSnapshot(req.params.id);
+
+    res.json({
+      cycle, transactions, splits: transactionSplits, lineItems: items, dinnerEntries, personalReceipts, pools: expensePools, payments: cyclePayments,
+      reviewQueue, bill, snapshot,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/cycles/:id  { period_type?, month_key?, date_from?, date_to?, label? }
+// Changes an unfinalized cycle's period; omitted fields keep their current
+// value. Transactions stay in the cycle even if their date now falls outside
+// it — `outside_range` counts them so they can be moved or checked.
+router.patch("/:id", requireOpenCycle(), (req, res) => {
+  const cycle = req.cycle;
+  const body = req.body || {};
+  const period_type = body.period_type || cycle.period_type;
+  // A label that was generated from the old dates is regenerated too
+  const resolvedOld = resolvePeriod({ ...cycle, label: null }).period;
+  const customLabel = resolvedOld && cycle.label !== resolvedOld.label ? cycle.label : null;
+  const { period, error } = resolvePeriod({
+    period_type,
+    month_key: body.month_key,
+    date_from: body.date_from || cycle.date_from,
+    date_to: body.date_to || cycle.date_to,
+    label: body.label !== undefined ? body.label : customLabel,
+  });
+  if (error) return res.status(400).json({ error });
+
+  const existing = cycles.byMonthKey.get(period.month_key);
+  if (existing && existing.id !== cycle.id) {
+    return res.status(409).json({ error: "A cycle for that period already exists.", cycle: existing });
+  }
+  if (rejectOverlap(res, period, cycle.id)) return;
 
-    res.json({ cycle, transactions, dinnerEntries, personalReceipts, bill });
+  try {
+    cycles.updatePeriod.run({ id: cycle.id, ...period });
+    const outside_range = tx.byCycle.all(cycle.id)
+      .filter((t) => t.date < period.date_from || t.date > period.date_to).length;
+    res.json({ cycle: cycles.byId.get(cycle.id), outside_range });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/cycles/:id/finalize
+// POST /api/cycles/:id/finalize  { allow_pending?: true }
+// Pending bank charges are excluded from the bill, so finalizing with any
+// still pending needs an explicit allow_pending after review. Each finalize
+// stores a new bill snapshot; from the second on, `snapshot.diff` lists what
+// changed since the previous one.
 router.post("/:id/finalize", (req, res) => {
   try {
     const cycle = cycles.byId.get(req.params.id);
     if (!cycle) return res.status(404).json({ error: "Cycle not found" });
+
+    const pending = tx.pendingForCycle.all(req.params.id);
+    if (pending.length > 0 && !req.body?.allow_pending) {
+      return res.status(409).json({
+        error: `${pending.length} pending transaction(s) are excluded from the bill. Review them or finalize with allow_pending.`,
+        pending,
+      });
+    }
+
+    if (cycle.finalized) return res.status(409).json({ error: "Cycle is already finalized", code: "CYCLE_LOCKED" });
+
+    // The snapshot records the cycle as finalized, so the flag goes first and
+    // comes off again if the snapshot can't be written — a finalized cycle
+    // without one would bill from live figures.
     cycles.finalize.run(req.params.id);
-    res.json({ ok: true, cycle: cycles.byId.get(req.params.id) });
+    let snapshot;
+    try {
+      snapshot = snapshotCycle(req.params.id);
+    } catch (err) {
+      cycles.unfinalize.run(req.params.id);
+      throw err;
+    }
+    res.json({ ok: true, cycle: snapshot.cycle, snapshot });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -104,6 +228,28 @@ router.post("/:id/unfinalize", (req, res) => {
   }
 });
 
+// GET /api/cycles/:id/snapshots  — every finalized version, newest first
+router.get("/:id/snapshots", (req, res) => {
+  try {
+    const cycle = cycles.byId.get(req.params.id);
+    if (!cycle) return res.status(404).json({ error: "Cycle not found" });
+    res.json(cycleSnapshots(cycle.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/cycles/:id/audit  — changes forced through while finalized
+router.get("/:id/audit", (req, res) => {
+  try {
+    const cycle = cycles.byId.get(req.params.id);
+    if (!cycle) return res.status(404).json({ error: "Cycle not found" });
+    res.json(audit.byCycle.all({ cycle_id: cycle.id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET /api/cycles/:id/bill  — just the calculated bill
 router.get("/:id/bill", (req, res) => {
   try {
@@ -115,15 +261,38 @@ router.get("/:id/bill", (req, res) => {
   }
 });
 
+// GET /api/cycles/:id/settlement
+// → { settled, transfers: [{ from_id, from_name, to_id, to_name, amount }], unsettled }
+// Who should pay whom to bring every closing balance to zero — see
+// lib/settlement.js. Payments already recorded are taken off first.
+router.get("/:id/settlement", (req, res) => {
+  try {
+    const cycle = cycles.byId.get(req.params.id);
+    if (!cycle) return res.status(404).json({ error: "Cycle not found" });
+    // The same bill history and carried balances use: a finalized cycle's
+    // snapshot, not its live figures
+    const bill = cycleBill(req.params.id);
+    res.json({ settled: bill.settled, ...settleUp(bill.billRows) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Dinner entries ────────────────────────────────────────────────────────
 
-// PUT /api/cycles/:id/dinners  [{ person_id, dinner_count, notes }]
-// Bulk upsert dinner counts for the cycle.
-router.put("/:id/dinners", (req, res) => {
+// PUT /api/cycles/:id/dinners  [{ person_id, dinner_count, notes, weight? }]
+// Bulk upsert dinner counts for the cycle. weight overrides the person's
+// dinner_weight for this cycle; null clears the override, and leaving it out
+// keeps whatever override is already set.
+router.put("/:id/dinners", requireOpenCycle(), (req, res) => {
   const entries = req.body; // array
   if (!Array.isArray(entries)) {
     return res.status(400).json({ error: "Body must be an array of dinner entries" });
   }
+  const badWeight = entries.find((e) => e.weight != null && !(Number(e.weight) >= 0));
+  if (badWeight) {
+    return res.status(400).json({ error: "weight must be a number 0 or greater, or null" });
+  }
   try {
     for (const entry of entries) {
       dinners.upsert.run({
@@ -132,6 +301,8 @@ router.put("/:id/dinners", (req, res) => {
         person_id: entry.person_id,
         dinner_count: Number(entry.dinner_count) || 0,
         notes: entry.notes || null,
+        weight: entry.weight == null ? null : Number(entry.weight),
+        set_weight: "weight" in entry ? 1 : 0,
       });
     }
     res.json(dinners.byCycle.all(req.params.id));
@@ -151,12 +322,13 @@ router.get("/:id/receipts", (req, res) => {
   }
 });
 
-// POST /api/cycles/:id/receipts  { person_id, amount, note, date }
-router.post("/:id/receipts", (req, res) => {
-  const { person_id, amount, note, date } = req.body;
+// POST /api/cycles/:id/receipts  { person_id, amount, note, date, pool_id? }
+router.post("/:id/receipts", requireOpenCycle(), (req, res) => {
+  const { person_id, amount, note, date, pool_id } = req.body;
   if (!person_id || !amount) {
     return res.status(400).json({ error: "person_id and amount are required" });
   }
+  if (rejectPool(res, req.cycle, pool_id)) return;
   try {
     const id = uuidv4();
     receipts.insert.run({
@@ -166,6 +338,7 @@ router.post("/:id/receipts", (req, res) => {
       amount: Number(amount),
       note: note || null,
       date: date || new Date().toISOString().slice(0, 10),
+      pool_id: pool_id || null,
     });
     res.status(201).json(receipts.byCycle.all(req.params.id));
   } catch (err) {
@@ -173,10 +346,33 @@ router.post("/:id/receipts", (req, res) => {
   }
 });
 
+// PATCH /api/cycles/:id/receipts/:receiptId  { pool_id: id|null }
+// null puts the receipt back in the default Groceries pool.
+router.patch("/:id/receipts/:receiptId", requireOpenCycle(), (req, res) => {
+  const receipt = receipts.byId.get({ id: req.params.receiptId });
+  if (!receipt || receipt.cycle_id !== req.cycle.id) {
+    return res.status(404).json({ error: "Receipt not found" });
+  }
+  const { pool_id } = req.body || {};
+  if (pool_id === undefined) return res.status(400).json({ error: "pool_id field required" });
+  if (rejectPool(res, req.cycle, pool_id)) return;
+  try {
+    receipts.setPool.run({ id: receipt.id, pool_id: pool_id || null });
+    res.json(receipts.byCycle.all(req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // DELETE /api/cycles/:id/receipts/:receiptId
-router.delete("/:id/receipts/:receiptId", (req, res) => {
+router.delete("/:id/receipts/:receiptId", requireOpenCycle(), (req, res) => {
+  const receipt = receipts.byId.get({ id: req.params.receiptId });
+  if (!receipt || receipt.cycle_id !== req.cycle.id) {
+    return res.status(404).json({ error: "Receipt not found" });
+  }
   try {
-    receipts.delete.run(req.params.receiptId);
+    lineItems.clearReceipt.run({ receipt_id: receipt.id });
+    receipts.delete.run(receipt.id);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
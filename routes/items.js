@@ -0,0 +1,156 @@
+/**
+ * routes/items.js
+ * Line items on a cycle's transactions and personal receipts — product,
+ * quantity, price and tags such as meat, alcohol or baby. Items are entered
+ * one at a time or pasted as receipt text (see lib/lineItems.js). Items
+ * tagged with something a diner excludes (people.excluded_tags) are billed
+ * apart from their charge; see computeBill in db/index.js.
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // inherits :cycleId from parent
+const { tx, receipts, lineItems, uuidv4, cycleLineItems, cycleSplits } = require("../db");
+const { requireOpenCycle } = require("../lib/cycleLock");
+const { normalizeTags, parseLineItems } = require("../lib/lineItems");
+const { toCents, toDollars, sumCents } = require("../lib/money");
+
+const requireOpen = requireOpenCycle("cycleId");
+
+// The item, if it belongs to a transaction or receipt in this cycle
+function loadItem(req, res) {
+  const item = lineItems.byId.get({ id: req.params.itemId });
+  const parent = item && (item.transaction_id ? tx.byId.get(item.transaction_id) : receipts.byId.get({ id: item.receipt_id }));
+  if (!parent || parent.cycle_id !== req.cycle.id) {
+    res.status(404).json({ error: "Item not found" });
+    return null;
+  }
+  return item;
+}
+
+// Validate one item; returns an error message or null
+function validateItem({ product, quantity = 1, price }) {
+  if (!product || !String(product).trim()) return "product is required";
+  if (!(Number(quantity) > 0)) return "quantity must be greater than 0";
+  if (price === undefined || price === "" || !Number.isFinite(Number(price))) return "price must be a number";
+  return null;
+}
+
+// Items are carved out of what their transaction or receipt cost, so together
+// they can't come to more than it. `items` is the parent's full set after the
+// change; returns an error message or null.
+function itemsTotalError(parent, items) {
+  const total = sumCents(items, "price");
+  const limit = Math.abs(toCents(parent.amount));
+  if (total <= limit) return null;
+  return `Items add up to ${toDollars(total).toFixed(2)}, more than the ${toDollars(limit).toFixed(2)} it cost`;
+}
+
+// A split transaction is excluded by its lines' tags, not its items'
+const SPLIT_TAGS_ERROR = "This transaction is split. Tag its split lines instead of its items.";
+const isSplit = (cycleId, transactionId) => cycleSplits(cycleId).some((l) => l.transaction_id === transactionId);
+
+// GET /api/cycles/:cycleId/items
+// → [{ id, transaction_id, receipt_id, product, quantity, price, tags: [..] }]
+router.get("/", (req, res) => {
+  try {
+    res.json(cycleLineItems(req.params.cycleId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cycles/:cycleId/items
+// { transaction_id | receipt_id, items?: [{ product, quantity?, price, tags? }], text? }
+// Appends items to one transaction or receipt. `text` is pasted receipt text,
+// parsed one item per line; lines that don't parse come back in `skipped`.
+// → 201 { added, skipped: [{ line, text }], items: <every item in the cycle> }
+router.post("/", requireOpen, (req, res) => {
+  const { transaction_id, receipt_id, items = [], text } = req.body || {};
+  if (!transaction_id === !receipt_id) {
+    return res.status(400).json({ error: "Exactly one of transaction_id or receipt_id is required" });
+  }
+  const parent = transaction_id ? tx.byId.get(transaction_id) : receipts.byId.get({ id: receipt_id });
+  if (!parent || parent.cycle_id !== req.cycle.id) {
+    return res.status(404).json({ error: transaction_id ? "Transaction not found" : "Receipt not found" });
+  }
+  if (!Array.isArray(items)) return res.status(400).json({ error: "items must be an array" });
+  for (const item of items) {
+    const error = validateItem(item);
+    if (error) return res.status(400).json({ error });
+  }
+
+  const parsed = text ? parseLineItems(text) : { items: [], skipped: [] };
+  const toAdd = [...items, ...parsed.items];
+  if (toAdd.length === 0) {
+    return res.status(400).json({ error: "No items to add", skipped: parsed.skipped });
+  }
+  if (transaction_id && toAdd.some((i) => normalizeTags(i.tags).length > 0) && isSplit(req.cycle.id, transaction_id)) {
+    return res.status(400).json({ error: SPLIT_TAGS_ERROR });
+  }
+  const siblings = cycleLineItems(req.cycle.id).filter((i) => (transaction_id ? i.transaction_id === transaction_id : i.receipt_id === receipt_id));
+  const totalError = itemsTotalError(parent, [...siblings, ...toAdd]);
+  if (totalError) return res.status(400).json({ error: totalError, skipped: parsed.skipped });
+
+  try {
+    const owner = { transaction_id: transaction_id || null, receipt_id: receipt_id || null };
+    let { position } = lineItems.nextPosition.get(owner);
+    for (const item of toAdd) {
+      lineItems.insert.run({
+        id: uuidv4(),
+        ...owner,
+        product: String(item.product).trim(),
+        quantity: Number(item.quantity ?? 1),
+        price: Number(item.price),
+        tags: normalizeTags(item.tags).join(","),
+        position: position++,
+      });
+    }
+    res.status(201).json({ added: toAdd.length, skipped: parsed.skipped, items: cycleLineItems(req.cycle.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/cycles/:cycleId/items/:itemId  { product?, quantity?, price?, tags? }
+router.patch("/:itemId", requireOpen, (req, res) => {
+  const item = loadItem(req, res);
+  if (!item) return;
+  const next = { ...item, ...req.body, tags: req.body?.tags === undefined ? item.tags : normalizeTags(req.body.tags).join(",") };
+  const error = validateItem(next);
+  if (error) return res.status(400).json({ error });
+  if (req.body?.tags !== undefined && next.tags && item.transaction_id && isSplit(req.cycle.id, item.transaction_id)) {
+    return res.status(400).json({ error: SPLIT_TAGS_ERROR });
+  }
+  const parent = item.transaction_id ? tx.byId.get(item.transaction_id) : receipts.byId.get({ id: item.receipt_id });
+  const siblings = cycleLineItems(req.cycle.id)
+    .filter((i) => i.id !== item.id && (item.transaction_id ? i.transaction_id === item.transaction_id : i.receipt_id === item.receipt_id));
+  const totalError = itemsTotalError(parent, [...siblings, next]);
+  if (totalError) return res.status(400).json({ error: totalError });
+
+  try {
+    lineItems.update.run({
+      id: item.id,
+      product: String(next.product).trim(),
+      quantity: Number(next.quantity),
+      price: Number(next.price),
+      tags: next.tags,
+    });
+    res.json(cycleLineItems(req.cycle.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cycles/:cycleId/items/:itemId
+router.delete("/:itemId", requireOpen, (req, res) => {
+  const item = loadItem(req, res);
+  if (!item) return;
+  try {
+    lineItems.delete.run(item.id);
+    res.json(cycleLineItems(req.cycle.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * routes/ledger.js
+ * Household ledger: how each person's balance moved cycle by cycle, and
+ * where everyone stands overall. Finalized cycles are read from their latest
+ * bill snapshot, open ones from the live bill; opening balances and payments
+ * are applied to both (see cycleBill in db/index.js).
+ */
+
+const express = require("express");
+const router = express.Router();
+const { cycles, cycleBill, latestSnapshot, hasUnassigned } = require("../db");
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// GET /api/ledger
+// → { cycles: [{ cycle_id, label, date_from, date_to, finalized, snapshot_version,
+//                opening_from, opening_pending, unassigned, settled,
+//                rows: [{ person_id, person_name, opening_balance, balance,
+//                         payments_sent, payments_received, closing_balance }] }],
+//     balances: [{ person_id, person_name, balance }] }
+// Cycles are oldest first. `balances` adds up every cycle's own balance less
+// payments, so it includes open cycles whose figures haven't been carried
+// forward yet. Finalized cycles with charges nobody paid (`unassigned`) are
+// left out, as they are from carried balances. Positive balances are owed to
+// the household, negative ones are credit.
+router.get("/", (req, res) => {
+  try {
+    const cache = new Map();
+    const totals = new Map(); // person_id → { person_name, balance }
+    const ledger = cycles.all.all().reverse().map((cycle) => {
+      const snapshot = cycle.finalized ? latestSnapshot(cycle.id) : null;
+      const bill = cycleBill(cycle.id, cache);
+      const unassigned = hasUnassigned(bill);
+
+      const rows = bill.billRows.map((b) => {
+        if (!(cycle.finalized && unassigned)) {
+          const net = b.balance - b.payments_sent + b.payments_received;
+          const total = totals.get(b.person_id) || { person_name: b.person_name, balance: 0 };
+          totals.set(b.person_id, { person_name: b.person_name, balance: total.balance + net });
+        }
+        return {
+          person_id: b.person_id,
+          person_name: b.person_name,
+          opening_balance: b.opening_balance,
+          balance: b.balance,
+          payments_sent: b.payments_sent,
+          payments_received: b.payments_received,
+          closing_balance: b.closing_balance,
+        };
+      });
+
+      return {
+        cycle_id: cycle.id,
+        label: cycle.label,
+        date_from: cycle.date_from,
+        date_to: cycle.date_to,
+        finalized: cycle.finalized,
+        snapshot_version: snapshot ? snapshot.version : null,
+        opening_from: bill.openingFrom || null,
+        opening_pending: bill.openingPending,
+        unassigned,
+        settled: bill.settled,
+        rows,
+      };
+    });
+
+    const balances = [...totals]
+      .map(([person_id, t]) => ({ person_id, person_name: t.person_name, balance: round(t.balance) }))
+      .sort((a, b) => a.person_name.localeCompare(b.person_name));
+
+    res.json({ cycles: ledger, balances });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * routes/payments.js
+ * Settle-up payments within a cycle: who sent whom how much, and how.
+ * Payments move closing balances (see withBalances in db/index.js); a cycle
+ * is settled once every closing balance is zero.
+ *
+ * Unlike other writes under a cycle these aren't locked by finalizing —
+ * people usually pay each other after the bill is final.
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // inherits :cycleId from parent
+const { cycles, people, payments, uuidv4 } = require("../db");
+const { isValidDate, localToday } = require("../lib/cyclePeriods");
+
+const METHODS = ["e-transfer", "cash", "cheque", "other"];
+
+function loadCycle(req, res) {
+  const cycle = cycles.byId.get(req.params.cycleId);
+  if (!cycle) res.status(404).json({ error: "Cycle not found" });
+  return cycle;
+}
+
+// GET /api/cycles/:cycleId/payments
+router.get("/", (req, res) => {
+  try {
+    if (!loadCycle(req, res)) return;
+    res.json(payments.byCycle.all({ cycle_id: req.params.cycleId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Validate a payment's fields; returns an error message or null
+function validatePayment({ payer_id, payee_id, amount, date, method }) {
+  if (!payer_id || !payee_id) return "payer_id and payee_id are required";
+  if (payer_id === payee_id) return "payer and payee must be different people";
+  if (!people.byId.get(payer_id) || !people.byId.get(payee_id)) return "Unknown payer_id or payee_id";
+  const value = Number(amount);
+  if (!Number.isFinite(value) || Math.round(value * 100) <= 0) return "amount must be a positive number";
+  if (date && !isValidDate(date)) return "date must be a real date in YYYY-MM-DD form";
+  if (method && !METHODS.includes(method)) return `method must be one of: ${METHODS.join(", ")}`;
+  return null;
+}
+
+// POST /api/cycles/:cycleId/payments
+// { payer_id, payee_id, amount, date?, method?, note? }
+// payer_id sent the money, payee_id received it. date defaults to today.
+router.post("/", (req, res) => {
+  const { payer_id, payee_id, amount, date, method, note } = req.body || {};
+  const error = validatePayment({ payer_id, payee_id, amount, date, method });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!loadCycle(req, res)) return;
+    payments.insert.run({
+      id: uuidv4(),
+      cycle_id: req.params.cycleId,
+      payer_id,
+      payee_id,
+      amount: Math.round(Number(amount) * 100) / 100,
+      date: date || localToday(),
+      method: method || null,
+      note: note?.trim() || null,
+    });
+    res.status(201).json(payments.byCycle.all({ cycle_id: req.params.cycleId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/cycles/:cycleId/payments/:paymentId
+// { payer_id?, payee_id?, amount?, date?, method?, note? } — corrects a payment
+router.patch("/:paymentId", (req, res) => {
+  try {
+    const payment = payments.byId.get(req.params.paymentId);
+    if (!payment || payment.cycle_id !== req.params.cycleId) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+    const next = { ...payment, ...req.body };
+    if (!next.date) return res.status(400).json({ error: "date must be a real date in YYYY-MM-DD form" });
+    const error = validatePayment(next);
+    if (error) return res.status(400).json({ error });
+
+    payments.update.run({
+      id: payment.id,
+      payer_id: next.payer_id,
+      payee_id: next.payee_id,
+      amount: Math.round(Number(next.amount) * 100) / 100,
+      date: next.date,
+      method: next.method || null,
+      note: next.note?.trim() || null,
+    });
+    res.json(payments.byCycle.all({ cycle_id: req.params.cycleId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cycles/:cycleId/payments/:paymentId
+router.delete("/:paymentId", (req, res) => {
+  try {
+    const payment = payments.byId.get(req.params.paymentId);
+    if (!payment || payment.cycle_id !== req.params.cycleId) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+    payments.delete.run(req.params.paymentId);
+    res.json(payments.byCycle.all({ cycle_id: req.params.cycleId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -5,13 +5,59 @@
 
 const express = require("express");
 const router = express.Router();
-const { people, uuidv4 } = require("../db");
+const { people, payerDefaults, uuidv4 } = require("../db");
+const { normalizeTags } = require("../lib/lineItems");
+
+// Sources a default payer can be configured for (matches transactions.source)
+const PAYER_SOURCES = ["visa", "csv", "receipt"];
+
+// One entry per source, including sources with no default configured yet
+function listPayerDefaults() {
+  const rows = payerDefaults.all.all();
+  return PAYER_SOURCES.map((source) =>
+    rows.find((r) => r.source === source) || { source, person_id: null, person_name: null }
+  );
+}
+
+// excluded_tags is stored comma-separated and handed out as an array
+const toPerson = (row) => ({ ...row, excluded_tags: row.excluded_tags ? row.excluded_tags.split(",") : [] });
 
 // GET /api/people
 router.get("/", (req, res) => {
   try {
     const rows = people.all.all();
-    res.json(rows);
+    res.json(rows.map(toPerson));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/people/payer-defaults
+// Who is credited for new transactions from each source when no payer is given.
+router.get("/payer-defaults", (req, res) => {
+  try {
+    res.json(listPayerDefaults());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/people/payer-defaults/:source  { person_id }  (null clears it)
+// Setting a payer also credits them on this source's transactions in open
+// cycles that have no payer yet.
+router.put("/payer-defaults/:source", (req, res) => {
+  const { source } = req.params;
+  const { person_id } = req.body;
+  if (!PAYER_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${PAYER_SOURCES.join(", ")}` });
+  }
+  if (person_id && !people.byId.get(person_id)) {
+    return res.status(400).json({ error: "Unknown person_id" });
+  }
+  try {
+    payerDefaults.upsert.run({ source, person_id: person_id || null });
+    if (person_id) payerDefaults.backfillPayer.run({ source, person_id });
+    res.json(listPayerDefaults());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -26,7 +72,7 @@ router.post("/", (req, res) => {
   try {
     const id = uuidv4();
     people.insert.run({ id, name: name.trim() });
-    res.status(201).json(people.byId.get(id));
+    res.status(201).json(toPerson(people.byId.get(id)));
   } catch (err) {
     if (err.message.includes("UNIQUE")) {
       return res.status(409).json({ error: "A person with that name already exists." });
@@ -35,15 +81,31 @@ router.post("/", (req, res) => {
   }
 });
 
-// PATCH /api/people/:id  { name }
+const isWeight = (w) => w !== null && w !== "" && Number(w) >= 0;
+
+// PATCH /api/people/:id  { name?, dinner_weight?, excluded_tags? }
+// dinner_weight is how much each of their dinners counts toward the split
+// (1 = a full portion); a cycle can override it per person. excluded_tags
+// (array or "meat, alcohol") are item tags they don't pay for.
 router.patch("/:id", (req, res) => {
-  const { name } = req.body;
-  if (!name || !name.trim()) {
-    return res.status(400).json({ error: "name is required" });
+  const { name, dinner_weight, excluded_tags } = req.body;
+  if (name === undefined && dinner_weight === undefined && excluded_tags === undefined) {
+    return res.status(400).json({ error: "name, dinner_weight or excluded_tags is required" });
+  }
+  if (name !== undefined && (!name || !name.trim())) {
+    return res.status(400).json({ error: "name cannot be blank" });
+  }
+  if (dinner_weight !== undefined && !isWeight(dinner_weight)) {
+    return res.status(400).json({ error: "dinner_weight must be a number 0 or greater" });
   }
   try {
-    people.rename.run({ id: req.params.id, name: name.trim() });
-    res.json(people.byId.get(req.params.id));
+    if (!people.byId.get(req.params.id)) return res.status(404).json({ error: "Person not found" });
+    if (name !== undefined) people.rename.run({ id: req.params.id, name: name.trim() });
+    if (dinner_weight !== undefined) people.setWeight.run({ id: req.params.id, dinner_weight: Number(dinner_weight) });
+    if (excluded_tags !== undefined) {
+      people.setExcludedTags.run({ id: req.params.id, excluded_tags: normalizeTags(excluded_tags).join(",") });
+    }
+    res.json(toPerson(people.byId.get(req.params.id)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -4,68 +4,145 @@
  * Handles the full Plaid Link flow:
  *   1. POST /api/plaid/link-token    → create a Link token (frontend opens Plaid Link)
  *   2. POST /api/plaid/exchange      → exchange public_token for access_token, store it
- *   3. POST /api/plaid/sync/:cycleId → pull grocery transactions for a cycle's date range
- *   4. GET  /api/plaid/status        → check whether an item is connected
+ *   3. POST /api/plaid/sync/:cycleId → pull added/modified/removed transactions since the last sync
+ *   4. GET  /api/plaid/status        → list connected items, their accounts and any errors
+ *   5. POST /api/plaid/webhook       → Plaid notifies us of new data / item problems
+ *   6. POST /api/plaid/items/:itemId/relinked → clear an item's error after update-mode Link
+ *   7. DELETE /api/plaid/items/:itemId       → disconnect an item (itemRemove)
+ *   8. POST /api/plaid/import        → import a date range into the cycles covering each date
  */
 
 const express = require("express");
 const router = express.Router();
-const { PlaidApi, PlaidEnvironments, Configuration } = require("plaid");
-const { plaid: plaidDb, tx, cycles, uuidv4 } = require("../db");
+const { createPlaidClient } = require("../lib/plaidClient");
+const { isValidDate, addDays } = require("../lib/cyclePeriods");
+const { requireOpenCycle } = require("../lib/cycleLock");
+const { verifyPlaidWebhook } = require("../lib/plaidWebhook");
+const { loadTokenKey, isEncrypted, encryptToken, decryptToken } = require("../lib/tokenCrypto");
+const {
+  plaid: plaidDb, accounts: accountsDb, cycles, tx, splits, lineItems, candidates, rules, uuidv4,
+  defaultPayer, ensureAccount, findRefundTarget, classifyTransaction, cycleForDate, ensureCurrentCycle,
+} = require("../db");
 
 // ── Plaid client setup ───────────────────────────────────────────────────────
+// PLAID_ENV=mock serves fixtures from lib/plaid-fixtures/ instead of calling Plaid.
 
 const plaidEnv = process.env.PLAID_ENV || "sandbox";
+const plaidClient = createPlaidClient(plaidEnv);
 
-const plaidConfig = new Configuration({
-  basePath: PlaidEnvironments[plaidEnv],
-  baseOptions: {
-    headers: {
-      "PLAID-CLIENT-ID": process.env.PLAID_CLIENT_ID,
-      "PLAID-SECRET": process.env.PLAID_SECRET,
-    },
-  },
-});
+// ── Access tokens ────────────────────────────────────────────────────────────
+// Stored encrypted (lib/tokenCrypto.js); this module is the only place they
+// are decrypted. Plaintext tokens saved before encryption was added are
+// encrypted in place the first time the server starts.
 
-const plaidClient = new PlaidApi(plaidConfig);
+const { key: tokenKey } = loadTokenKey();
 
-// ── Grocery filter ───────────────────────────────────────────────────────────
+const accessTokenFor = (item) => decryptToken(item.access_token, tokenKey);
+
+(function encryptStoredTokens() {
+  const plaintext = plaidDb.all.all().filter((item) => !isEncrypted(item.access_token));
+  for (const item of plaintext) {
+    plaidDb.setAccessToken.run({ item_id: item.item_id, access_token: encryptToken(item.access_token, tokenKey) });
+  }
+  if (plaintext.length > 0) console.log(`[Plaid] Encrypted ${plaintext.length} stored access token(s)`);
+})();
 
-function isGrocery(transaction) {
-  const keywords = (process.env.GROCERY_KEYWORDS || "").split(",").map((k) => k.trim().toLowerCase());
+// ── Item errors ──────────────────────────────────────────────────────────────
+
+// Item errors the user fixes by logging in again through Link update mode
+// https://plaid.com/docs/errors/item/
+const RELINK_ERRORS = new Set([
+  "ITEM_LOGIN_REQUIRED", "INVALID_CREDENTIALS", "INVALID_MFA", "INVALID_UPDATED_USERNAME",
+  "ITEM_LOCKED", "USER_SETUP_REQUIRED", "NO_ACCOUNTS", "ACCESS_NOT_GRANTED",
+]);
+
+/**
+ * Store an item-level Plaid error (expired login, locked account, …) on the
+ * item so /status reports it until the next successful sync. API, rate-limit
+ * and network errors are transient and leave the item alone.
+ */
+function recordItemError(item, err) {
+  const data = err.response?.data;
+  if (data?.error_type !== "ITEM_ERROR") return;
+  plaidDb.setError.run({
+    item_id: item.item_id,
+    error_code: data.error_code,
+    error_message: data.error_message || null,
+  });
+}
 
-  const name = (transaction.merchant_name || transaction.name || "").toLowerCase();
+// What went wrong syncing one item, with a hint when a fresh login fixes it
+function describeSyncError(err) {
+  const error_code = err.response?.data?.error_code || null;
+  const needs_relink = RELINK_ERRORS.has(error_code);
+  const message = err.response?.data?.error_message || err.message;
+  return {
+    error: needs_relink ? `${message} Reconnect the bank to resume syncing.` : message,
+    error_code,
+    needs_relink,
+  };
+}
 
-  // Match by keyword
-  if (keywords.some((kw) => kw && name.includes(kw))) return true;
+// ── Grocery filter ───────────────────────────────────────────────────────────
 
-  // Match by Plaid category: personal_finance_category or legacy categories
-  const cats = [
+// Plaid's category list for a transaction, lower-cased with underscores
+// spaced out so "FOOD_AND_DRINK_GROCERIES" and "Food and Drink" compare alike.
+function plaidCategories(transaction) {
+  return [
     ...(transaction.personal_finance_category?.detailed ? [transaction.personal_finance_category.detailed] : []),
     ...(transaction.category || []),
-  ].map((c) => c.toLowerCase());
+  ].map((c) => c.toLowerCase().replace(/_/g, " "));
+}
 
-  return cats.some((c) =>
-    c.includes("groceries") || c.includes("supermarket") || c.includes("food and drink")
-  );
+/**
+ * Sort a Plaid transaction using the grocery rules (Rules tab) into one of:
+ *   "grocery"    — an include rule matched; imported directly
+ *   "excluded"   — an exclude rule matched; dropped
+ *   "borderline" — only a review rule matched; queued for review
+ *   "no_match"   — nothing matched; queued for review
+ */
+function classify(transaction, ruleSet) {
+  const { action } = classifyTransaction({
+    merchant: transaction.merchant_name || transaction.name,
+    amount: transaction.amount,
+    category: plaidCategories(transaction).join(", "),
+  }, ruleSet);
+  if (action === "include") return "grocery";
+  if (action === "exclude") return "excluded";
+  if (action === "review") return "borderline";
+  return "no_match";
 }
 
 // ── Routes ───────────────────────────────────────────────────────────────────
 
 // 1. Create a Link token — called when the user clicks "Connect Bank"
-// POST /api/plaid/link-token
+// POST /api/plaid/link-token  { item_id? }
+// With item_id the token opens Link in update mode for that item, so the user
+// can log in again after its credentials expire. Update mode takes the
+// item's access_token instead of a product list.
 router.post("/link-token", async (req, res) => {
+  const { item_id } = req.body || {};
+  const item = item_id ? plaidDb.byItemId.get({ item_id }) : null;
+  if (item_id && !item) return res.status(404).json({ error: "Plaid item not found" });
+
   try {
     const response = await plaidClient.linkTokenCreate({
       user: { client_user_id: "grocsplit-household" },
       client_name: "GrocSplit",
-      products: ["transactions"],
+      ...(item ? { access_token: accessTokenFor(item) } : { products: ["transactions"] }),
       country_codes: ["CA"],      // Canada — CIBC is supported
       language: "en",
+      // Items linked with a webhook URL get SYNC_UPDATES_AVAILABLE pushes
+      ...(process.env.PLAID_WEBHOOK_URL && { webhook: process.env.PLAID_WEBHOOK_URL }),
       // Optional: pre-select CIBC
       // institution_id: "ins_9",  // Plaid's ID for CIBC in sandbox
     });
 
+    // The client can't load Plaid Link offline; in mock mode it shows its own
+    // picker for the fixture institutions instead.
+    if (plaidEnv === "mock") {
+      return res.json({ link_token: response.data.link_token, mock: true, institutions: plaidClient.mockInstitutions() });
+    }
     res.json({ link_token: response.data.link_token });
   } catch (err) {
     console.error("[Plaid] link-token error:", err.response?.data || err.message);
@@ -74,9 +151,12 @@ router.post("/link-token", async (req, res) => {
 });
 
 // 2. Exchange the public_token from Plaid Link for a persistent access_token
-// POST /api/plaid/exchange  { public_token, institution_name }
+// POST /api/plaid/exchange  { public_token, institution_name, account_ids? }
+// Each linked bank login becomes its own plaid_items row. account_ids (from
+// Link's metadata.accounts) limits which accounts are synced; the rest are
+// registered but excluded until toggled on.
 router.post("/exchange", async (req, res) => {
-  const { public_token, institution_name } = req.body;
+  const { public_token, institution_name, account_ids } = req.body;
   if (!public_token) return res.status(400).json({ error: "public_token is required" });
 
   try {
@@ -86,98 +166,575 @@ router.post("/exchange", async (req, res) => {
     plaidDb.insert.run({
       id: uuidv4(),
       item_id,
-      access_token,
+      access_token: encryptToken(access_token, tokenKey),
       institution: institution_name || "Unknown",
     });
 
-    res.json({ ok: true, item_id, institution: institution_name });
+    // Register the item's accounts so they can be assigned to people before
+    // the first sync. Failure here is not fatal — sync registers them lazily.
+    let accounts = [];
+    try {
+      const accountsRes = await plaidClient.accountsGet({ access_token });
+      accounts = accountsRes.data.accounts.map((a) => {
+        const account = ensureAccount({
+          plaid_account_id: a.account_id,
+          label: `${institution_name || "Bank"} ${a.name}`,
+          mask: a.mask,
+        });
+        const selected = !Array.isArray(account_ids) || account_ids.length === 0 || account_ids.includes(a.account_id);
+        accountsDb.linkItem.run({ id: account.id, plaid_item_id: item_id, sync_enabled: selected ? 1 : 0 });
+        return accountsDb.byId.get(account.id);
+      });
+    } catch (err) {
+      console.error("[Plaid] accounts error:", err.response?.data || err.message);
+    }
+
+    res.json({ ok: true, item_id, institution: institution_name, accounts });
   } catch (err) {
     console.error("[Plaid] exchange error:", err.response?.data || err.message);
     res.status(500).json({ error: "Failed to exchange token", detail: err.response?.data });
   }
 });
 
-// 3. Sync grocery transactions for a cycle
+// 3. Sync grocery transactions via /transactions/sync
 // POST /api/plaid/sync/:cycleId
-router.post("/sync/:cycleId", async (req, res) => {
-  const cycle = cycles.byId.get(req.params.cycleId);
-  if (!cycle) return res.status(404).json({ error: "Cycle not found" });
-
-  const item = plaidDb.first.get();
-  if (!item) {
+// Pulls every change since each item's stored cursor, for every linked item.
+// New grocery rows from enabled accounts are filed into the cycle covering
+// their date (the requested cycle first); everything else lands in that
+// cycle's review queue. Modified and removed deltas are applied to rows we
+// already hold, queued or not. One failing bank doesn't block the others; a
+// failed item reports its Plaid error_code and whether it needs_relink.
+// Refused for a finalized cycle; rows from other finalized cycles are
+// reported as locked either way.
+router.post("/sync/:cycleId", requireOpenCycle("cycleId"), async (req, res) => {
+  const cycle = req.cycle;
+
+  const items = plaidDb.all.all();
+  if (items.length === 0) {
     return res.status(400).json({ error: "No Plaid account connected. Complete Link first." });
   }
 
-  try {
-    // Fetch all transactions in the cycle's date window
-    const txResponse = await plaidClient.transactionsGet({
-      access_token: item.access_token,
-      start_date: cycle.date_from,
-      end_date: cycle.date_to,
-      options: {
-        count: 500,
-        include_personal_finance_category: true,
-      },
+  const totals = { added: 0, queued: 0, filtered: 0, posted: 0, modified: 0, removed: 0, skipped: 0, excluded: 0, unfiled: 0, locked: 0 };
+  const created = [];
+  const itemResults = [];
+
+  for (const item of items) {
+    try {
+      const result = await syncItem(item.item_id, cycle);
+      for (const key of Object.keys(totals)) totals[key] += result[key];
+      created.push(...result.cycles_created);
+      itemResults.push({ item_id: item.item_id, institution: item.institution, ok: true, ...result });
+    } catch (err) {
+      console.error(`[Plaid] sync error (${item.institution}):`, err.response?.data || err.message);
+      itemResults.push({
+        item_id: item.item_id,
+        institution: item.institution,
+        ok: false,
+        ...describeSyncError(err),
+      });
+    }
+  }
+
+  if (itemResults.every((r) => !r.ok)) {
+    return res.status(500).json({
+      error: itemResults.map((r) => `${r.institution}: ${r.error}`).join(" "),
+      needs_relink: itemResults.some((r) => r.needs_relink),
+      items: itemResults,
     });
+  }
 
-    const allTransactions = txResponse.data.transactions;
+  res.json({
+    ok: true,
+    ...totals,
+    cycles_created: created,
+    items: itemResults,
+    date_range: { from: cycle.date_from, to: cycle.date_to },
+  });
+});
 
-    // Filter to grocery-related transactions
-    const groceryTxs = allTransactions.filter(isGrocery);
+// Syncs of the same item run one at a time — a webhook arriving while someone
+// clicks Sync Now must not read the cursor the other is about to replace.
+const itemSyncs = new Map(); // item_id → promise of the latest queued sync
 
-    let added = 0;
-    let skipped = 0;
+/**
+ * Pull and apply one item's changes since its stored cursor, then advance the
+ * cursor. `preferredCycle` (optional) is tried first when filing new rows;
+ * otherwise each goes to the cycle covering its date, and the current
+ * period's cycle is created if missing, as the app does on load, so
+ * background syncs at the start of a period don't drop anything. Older
+ * dates get no cycle of their own (Import Range creates those on request).
+ * Resolves with the applySyncDeltas counters plus `cycles_created`.
+ */
+function syncItem(itemId, preferredCycle = null) {
+  const run = async () => {
+    // Re-read the item: a sync queued ahead of this one may have moved the cursor
+    const item = plaidDb.byItemId.get({ item_id: itemId });
+    if (!item) throw new Error("Plaid item no longer linked");
+
+    let deltas;
+    try {
+      deltas = await fetchSyncDeltas(item);
+    } catch (err) {
+      recordItemError(item, err);
+      throw err;
+    }
+    const created = [];
+    const result = applySyncDeltas(deltas, (date) => {
+      if (preferredCycle && date >= preferredCycle.date_from && date <= preferredCycle.date_to) return preferredCycle;
+      return ensureCurrentCycle(date, { created });
+    }, item);
+
+    // Only advance the cursor once every delta has been applied. A row no
+    // cycle covers holds the cursor back, so nothing is skipped for good;
+    // rows already filed are skipped as duplicates when the next sync offers
+    // it again, after someone adds a cycle for its date.
+    if (result.unfiled === 0) {
+      plaidDb.updateCursor.run({ item_id: item.item_id, cursor: deltas.cursor });
+    }
+    plaidDb.clearError.run({ item_id: item.item_id });
+    return { ...result, cycles_created: created };
+  };
+
+  const previous = itemSyncs.get(itemId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(run);
+  itemSyncs.set(itemId, next);
+  next.catch(() => {}).finally(() => {
+    if (itemSyncs.get(itemId) === next) itemSyncs.delete(itemId);
+  });
+  return next;
+}
 
-    for (const t of groceryTxs) {
-      // Plaid amounts are positive for debits in Canada; confirm positive
-      const amount = Math.abs(t.amount);
-      if (amount <= 0) { skipped++; continue; }
+/**
+ * Page through /transactions/sync from the item's stored cursor until
+ * has_more is false. Returns the accumulated deltas plus the cursor to store
+ * once they have been applied. If Plaid reports the data changed mid-way,
+ * pagination restarts from the original cursor as their docs require.
+ */
+async function fetchSyncDeltas(item, attempt = 1) {
+  const added = [];
+  const modified = [];
+  const removed = [];
+  let cursor = item.cursor || undefined;
+  let hasMore = true;
 
-      // Skip if this Plaid transaction was already imported (any cycle)
-      const existing = tx.byPlaidId.get({ plaid_id: t.transaction_id });
-      if (existing) { skipped++; continue; }
+  try {
+    while (hasMore) {
+      const { data } = await plaidClient.transactionsSync({
+        access_token: accessTokenFor(item),
+        cursor,
+        count: 500,
+        options: { include_personal_finance_category: true },
+      });
+      added.push(...data.added);
+      modified.push(...data.modified);
+      removed.push(...data.removed);
+      hasMore = data.has_more;
+      cursor = data.next_cursor;
+    }
+  } catch (err) {
+    const code = err.response?.data?.error_code;
+    if (code === "TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION" && attempt < 3) {
+      return fetchSyncDeltas(item, attempt + 1);
+    }
+    throw err;
+  }
 
-      tx.insert.run({
+  return { added, modified, removed, cursor };
+}
+
+/**
+ * Apply one item's batch of sync deltas to the transactions table and the
+ * review queue. Rows from accounts excluded from sync are ignored (counted
+ * under `excluded`), rows an exclude rule matches are dropped (`filtered`),
+ * and finalized cycles are never touched (counted under `locked`). Rejected
+ * candidates stay rejected: their transaction id is remembered, so a later
+ * sync skips them.
+ *
+ * New rows are filed into `cycleFor(date)`; when it returns null they are
+ * counted as `unfiled`. Locked and unfiled rows are also listed in
+ * `locked_rows` / `unfiled_rows`.
+ */
+function applySyncDeltas({ added, modified, removed }, cycleFor, item) {
+  const result = {
+    added: 0, queued: 0, filtered: 0, posted: 0, modified: 0, removed: 0, skipped: 0, excluded: 0, unfiled: 0, locked: 0,
+    locked_rows: [], unfiled_rows: [],
+  };
+
+  const ruleSet = rules.enabled.all();
+  const accountFor = (t) => ensureAccount({ plaid_account_id: t.account_id, plaid_item_id: item.item_id });
+
+  // A change we won't make because the row's cycle is finalized
+  const lock = ({ date, merchant, amount }, cycle_id, cycle_label) => {
+    result.locked++;
+    result.locked_rows.push({ date, merchant, amount, cycle_id, cycle_label });
+  };
+
+  const addRow = (t) => {
+    const account = accountFor(t);
+    if (!account.sync_enabled) { result.excluded++; return; }
+    if (!t.amount) { result.skipped++; return; }
+    if (tx.byPlaidId.get({ plaid_id: t.transaction_id })) { result.skipped++; return; }
+    if (candidates.byPlaidId.get({ plaid_id: t.transaction_id })) { result.skipped++; return; }
+
+    // A posted transaction replaces its pending version in place rather than
+    // being counted as a second purchase. If the pending row's cycle was
+    // finalized meanwhile, its bill left the charge out as pending, so the
+    // posted charge is billed in the first open cycle after it instead and
+    // the pending row is left as it was.
+    if (t.pending_transaction_id) {
+      const pendingRows = tx.byPlaidIdWithCycle.all({ plaid_id: t.pending_transaction_id });
+      if (pendingRows.length > 0) {
+        for (const row of pendingRows) {
+          if (row.cycle_finalized) {
+            const target = openCycleAfter(row);
+            if (!target) { lock(row, row.cycle_id, row.cycle_label); continue; }
+            tx.insert.run({
+              id: uuidv4(),
+              cycle_id: target.id,
+              plaid_id: t.transaction_id,
+              date: t.date,
+              merchant: t.merchant_name || t.name,
+              amount: t.amount,
+              source: row.source,
+              notes: `Posted after ${row.cycle_label} was finalized`,
+              payer_id: row.payer_id,
+              account_id: row.account_id,
+              refund_of: findRefundTarget({ cycle_id: target.id, merchant: t.merchant_name || t.name, amount: t.amount, date: t.date }),
+              pending: 0,
+              category: row.category,
+            });
+            result.posted++;
+            continue;
+          }
+          tx.postPending.run({
+            id: row.id,
+            plaid_id: t.transaction_id,
+            date: t.date,
+            merchant: t.merchant_name || t.name,
+            amount: t.amount,
+          });
+          result.posted++;
+        }
+        return;
+      }
+      const pendingCandidate = candidates.byPlaidId.get({ plaid_id: t.pending_transaction_id });
+      if (pendingCandidate) {
+        updateCandidate(pendingCandidate, t);
+        result.posted++;
+        return;
+      }
+    }
+
+    // Classify first so excluded rows never create a cycle
+    const kind = classify(t, ruleSet);
+    if (kind === "excluded") { result.filtered++; return; }
+
+    const merchant = t.merchant_name || t.name;
+    const target = cycleFor(t.date);
+    if (!target) {
+      result.unfiled++;
+      result.unfiled_rows.push({ date: t.date, merchant, amount: t.amount });
+      return;
+    }
+    if (target.finalized) { lock({ date: t.date, merchant, amount: t.amount }, target.id, target.label); return; }
+
+    if (kind !== "grocery") {
+      candidates.insert.run({
         id: uuidv4(),
-        cycle_id: cycle.id,
+        cycle_id: target.id,
         plaid_id: t.transaction_id,
+        account_id: account.id,
+        date: t.date,
+        merchant,
+        amount: t.amount,
+        category: plaidCategories(t).join(", ") || null,
+        reason: kind,
+        pending: t.pending ? 1 : 0,
+      });
+      result.queued++;
+      return;
+    }
+
+    // Plaid amounts are positive for debits and negative for credits, which
+    // matches how we store refunds — keep the sign.
+    tx.insert.run({
+      id: uuidv4(),
+      cycle_id: target.id,
+      plaid_id: t.transaction_id,
+      date: t.date,
+      merchant,
+      amount: t.amount,
+      source: "visa",
+      notes: null,
+      payer_id: defaultPayer("visa", account),
+      account_id: account.id,
+      refund_of: findRefundTarget({ cycle_id: target.id, merchant, amount: t.amount, date: t.date }),
+      pending: t.pending ? 1 : 0,
+      category: plaidCategories(t).join(", ") || null,
+    });
+    result.added++;
+  };
+
+  for (const t of added) addRow(t);
+
+  for (const t of modified) {
+    const rows = tx.byPlaidIdWithCycle.all({ plaid_id: t.transaction_id });
+    if (rows.length === 0) {
+      const candidate = candidates.byPlaidId.get({ plaid_id: t.transaction_id });
+      if (candidate) {
+        updateCandidate(candidate, t);
+        result.modified++;
+      } else {
+        addRow(t);
+      }
+      continue;
+    }
+    for (const row of rows) {
+      if (row.cycle_finalized) { lock(row, row.cycle_id, row.cycle_label); continue; }
+      tx.updateFromPlaid.run({
+        id: row.id,
         date: t.date,
         merchant: t.merchant_name || t.name,
-        amount,
-        source: "visa",
-        notes: null,
+        amount: t.amount,
+        pending: t.pending ? 1 : 0,
       });
+      result.modified++;
+    }
+  }
 
-      added++;
+  for (const r of removed) {
+    for (const row of tx.byPlaidIdWithCycle.all({ plaid_id: r.transaction_id })) {
+      if (row.cycle_finalized) { lock(row, row.cycle_id, row.cycle_label); continue; }
+      splits.clear.run({ transaction_id: row.id });
+      lineItems.clearTransaction.run({ transaction_id: row.id });
+      tx.delete.run(row.id);
+      result.removed++;
+    }
+    const candidate = candidates.byPlaidId.get({ plaid_id: r.transaction_id });
+    if (candidate) {
+      candidates.delete.run({ id: candidate.id });
+      result.removed++;
     }
+  }
 
-    // Mark item as synced
-    plaidDb.updateSynced.run(item.item_id);
+  return result;
+}
 
-    res.json({
-      ok: true,
-      added,
-      skipped,
-      total_plaid_transactions: allTransactions.length,
-      grocery_transactions: groceryTxs.length,
-      date_range: { from: cycle.date_from, to: cycle.date_to },
-    });
-  } catch (err) {
-    console.error("[Plaid] sync error:", err.response?.data || err.message);
-    res.status(500).json({ error: "Plaid sync failed", detail: err.response?.data });
-  }
-});
+// The first unfinalized cycle after a transaction's cycle, creating the next
+// period's if there isn't one. Null if that period would overlap a cycle.
+function openCycleAfter(row) {
+  let cycle = cycles.byId.get(row.cycle_id);
+  while (cycle && cycle.finalized) cycle = cycleForDate(addDays(cycle.date_to, 1), { create: true });
+  return cycle || null;
+}
+
+function updateCandidate(candidate, t) {
+  candidates.updateFromPlaid.run({
+    id: candidate.id,
+    plaid_id: t.transaction_id,
+    date: t.date,
+    merchant: t.merchant_name || t.name,
+    amount: t.amount,
+    pending: t.pending ? 1 : 0,
+  });
+}
 
 // 4. Check connection status
 // GET /api/plaid/status
+// Lists every linked item with its accounts, their sync toggle and the item's
+// last Plaid error. `linked` is true when any item exists; `connected` only
+// when at least one of them is healthy. The top-level institution/last_synced
+// describe the oldest item.
 router.get("/status", (req, res) => {
-  const item = plaidDb.first.get();
-  if (!item) return res.json({ connected: false });
+  const items = plaidDb.all.all();
+  if (items.length === 0) return res.json({ connected: false, linked: false, items: [] });
   res.json({
-    connected: true,
-    institution: item.institution,
-    last_synced: item.last_synced,
+    connected: items.some((item) => !item.error_code),
+    linked: true,
+    institution: items[0].institution,
+    last_synced: items[0].last_synced,
+    items: items.map((item) => ({
+      item_id: item.item_id,
+      institution: item.institution,
+      last_synced: item.last_synced,
+      error_code: item.error_code,
+      error_message: item.error_message,
+      needs_relink: RELINK_ERRORS.has(item.error_code),
+      consent_expires_at: item.consent_expires_at,
+      accounts: accountsDb.byPlaidItem.all({ plaid_item_id: item.item_id }),
+    })),
   });
 });
 
+// 5. Plaid webhooks
+// POST /api/plaid/webhook  { webhook_type, webhook_code, item_id, ... }
+// Set PLAID_WEBHOOK_URL to this endpoint's public URL so new links register
+// it. With PLAID_WEBHOOK_VERIFY=true every request must carry a valid
+// Plaid-Verification signature. Always answers 200 once verified — Plaid
+// retries anything else — and does the actual sync in the background.
+router.post("/webhook", async (req, res) => {
+  if (process.env.PLAID_WEBHOOK_VERIFY === "true") {
+    try {
+      await verifyPlaidWebhook(plaidClient, req.get("Plaid-Verification"), req.rawBody);
+    } catch (err) {
+      console.error("[Plaid] webhook rejected:", err.response?.data || err.message);
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+  }
+
+  const { webhook_type, webhook_code, item_id } = req.body || {};
+  const item = item_id && plaidDb.byItemId.get({ item_id });
+  if (!item) {
+    console.warn(`[Plaid] webhook ${webhook_type}/${webhook_code} for unknown item ${item_id}`);
+    return res.json({ ok: true, ignored: true });
+  }
+
+  switch (`${webhook_type}/${webhook_code}`) {
+    case "TRANSACTIONS/SYNC_UPDATES_AVAILABLE":
+      syncItem(item.item_id)
+        .then((result) => console.log(`[Plaid] webhook sync (${item.institution}):`, result))
+        .catch((err) => console.error(`[Plaid] webhook sync error (${item.institution}):`, err.response?.data || err.message));
+      break;
+
+    case "ITEM/ERROR":
+      plaidDb.setError.run({
+        item_id,
+        error_code: req.body.error?.error_code || "UNKNOWN",
+        error_message: req.body.error?.error_message || null,
+      });
+      console.warn(`[Plaid] item error (${item.institution}):`, req.body.error?.error_code);
+      break;
+
+    case "ITEM/PENDING_EXPIRATION":
+      plaidDb.setConsentExpiry.run({ item_id, consent_expires_at: req.body.consent_expiration_time || null });
+      console.warn(`[Plaid] consent for ${item.institution} expires ${req.body.consent_expiration_time}`);
+      break;
+
+    default:
+      return res.json({ ok: true, ignored: true });
+  }
+
+  res.json({ ok: true });
+});
+
+// 6. Re-authenticated through update mode
+// POST /api/plaid/items/:itemId/relinked
+// Update mode leaves the access_token and cursor as they were, so there is
+// nothing to exchange — just clear the error (and any consent expiry, which
+// the new login renews) so the item shows as healthy again.
+router.post("/items/:itemId/relinked", (req, res) => {
+  const item = plaidDb.byItemId.get({ item_id: req.params.itemId });
+  if (!item) return res.status(404).json({ error: "Plaid item not found" });
+
+  try {
+    plaidDb.clearError.run({ item_id: item.item_id });
+    plaidDb.setConsentExpiry.run({ item_id: item.item_id, consent_expires_at: null });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 7. Disconnect a bank
+// DELETE /api/plaid/items/:itemId
+// Revokes the access_token at Plaid, then forgets the item. Its accounts stay
+// (with sync turned off) so already-imported transactions keep their account
+// and payer. An item Plaid no longer knows about is removed locally anyway.
+router.delete("/items/:itemId", async (req, res) => {
+  const item = plaidDb.byItemId.get({ item_id: req.params.itemId });
+  if (!item) return res.status(404).json({ error: "Plaid item not found" });
+
+  try {
+    await plaidClient.itemRemove({ access_token: accessTokenFor(item) });
+  } catch (err) {
+    const code = err.response?.data?.error_code;
+    if (code !== "ITEM_NOT_FOUND" && code !== "INVALID_ACCESS_TOKEN") {
+      console.error(`[Plaid] remove error (${item.institution}):`, err.response?.data || err.message);
+      return res.status(500).json({ error: "Failed to remove Plaid item", detail: err.response?.data });
+    }
+  }
+
+  try {
+    accountsDb.unlinkItem.run({ plaid_item_id: item.item_id });
+    plaidDb.delete.run({ item_id: item.item_id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 8. Import history for a date range
+// POST /api/plaid/import  { start_date, end_date, create_missing? }
+// Fetches every transaction in the range from each linked bank with
+// /transactions/get and files it into the cycle covering its date, like the
+// household CSV import: create_missing creates cycles for uncovered dates,
+// and rows belonging to finalized cycles are reported in locked_rows rather
+// than changed. Rows already imported are skipped, so overlapping ranges and
+// later syncs are safe. The sync cursor is left alone.
+router.post("/import", async (req, res) => {
+  try {
+    const { start_date, end_date, create_missing } = req.body || {};
+    if (!isValidDate(start_date) || !isValidDate(end_date)) {
+      return res.status(400).json({ error: "start_date and end_date must be YYYY-MM-DD" });
+    }
+    if (start_date > end_date) return res.status(400).json({ error: "start_date cannot be after end_date" });
+
+    const items = plaidDb.all.all();
+    if (items.length === 0) {
+      return res.status(400).json({ error: "No Plaid account connected. Complete Link first." });
+    }
+
+    const totals = { added: 0, queued: 0, filtered: 0, posted: 0, modified: 0, removed: 0, skipped: 0, excluded: 0, unfiled: 0, locked: 0 };
+    const locked_rows = [];
+    const unfiled_rows = [];
+    const created = [];
+    const itemResults = [];
+    const cycleFor = (date) => cycleForDate(date, { create: !!create_missing, created });
+
+    for (const item of items) {
+      try {
+        const transactions = await fetchTransactionsInRange(item, start_date, end_date);
+        const result = applySyncDeltas({ added: transactions, modified: [], removed: [] }, cycleFor, item);
+        for (const key of Object.keys(totals)) totals[key] += result[key];
+        locked_rows.push(...result.locked_rows);
+        unfiled_rows.push(...result.unfiled_rows);
+        itemResults.push({ item_id: item.item_id, institution: item.institution, ok: true, fetched: transactions.length });
+      } catch (err) {
+        console.error(`[Plaid] import error (${item.institution}):`, err.response?.data || err.message);
+        recordItemError(item, err);
+        itemResults.push({ item_id: item.item_id, institution: item.institution, ok: false, ...describeSyncError(err) });
+      }
+    }
+
+    if (itemResults.every((r) => !r.ok)) {
+      return res.status(500).json({
+        error: itemResults.map((r) => `${r.institution}: ${r.error}`).join(" "),
+        items: itemResults,
+      });
+    }
+
+    res.json({ ok: true, ...totals, locked_rows, unfiled_rows, cycles_created: created, items: itemResults });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Page through /transactions/get for one item's transactions in the range
+async function fetchTransactionsInRange(item, start_date, end_date) {
+  const transactions = [];
+  let total = Infinity;
+  while (transactions.length < total) {
+    const { data } = await plaidClient.transactionsGet({
+      access_token: accessTokenFor(item),
+      start_date,
+      end_date,
+      options: { count: 500, offset: transactions.length, include_personal_finance_category: true },
+    });
+    transactions.push(...data.transactions);
+    total = data.total_transactions;
+    if (data.transactions.length === 0) break;
+  }
+  return transactions;
+}
+
 module.exports = router;
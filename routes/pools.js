@@ -0,0 +1,128 @@
+/**
+ * routes/pools.js
+ * Expense pools within a cycle. Each pool is split on its own basis —
+ * weighted dinners, equally, fixed percentages or days present — and
+ * computeBill reports a breakdown per pool. Transactions and receipts are
+ * assigned with PATCH on their own routes (pool_id); unassigned ones stay in
+ * the default Groceries pool, split by dinners.
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // inherits :cycleId from parent
+const { pools, people, uuidv4, DEFAULT_POOL, cyclePools } = require("../db");
+const { requireOpenCycle } = require("../lib/cycleLock");
+
+const BASES = ["dinners", "equal", "fixed", "days"];
+
+const requireOpen = requireOpenCycle("cycleId");
+
+function loadPool(req, res) {
+  const pool = pools.byId.get(req.params.poolId);
+  if (!pool || pool.cycle_id !== req.cycle.id) {
+    res.status(404).json({ error: "Pool not found" });
+    return null;
+  }
+  return pool;
+}
+
+// Validate a pool body; returns an error message or null. shares are only
+// used by fixed (percentages, totalling 100) and days (days present) pools.
+function validate({ name, basis, shares }) {
+  if (name !== undefined && (!name || !name.trim())) return "name is required";
+  if (name && name.trim().toLowerCase() === DEFAULT_POOL.name.toLowerCase()) {
+    return `"${DEFAULT_POOL.name}" is the default pool's name`;
+  }
+  if (basis !== undefined && !BASES.includes(basis)) return `basis must be one of: ${BASES.join(", ")}`;
+  if (shares === undefined) return null;
+  if (!Array.isArray(shares)) return "shares must be an array of { person_id, value }";
+  for (const s of shares) {
+    if (!people.byId.get(s.person_id)) return `Unknown person_id ${s.person_id}`;
+    if (!(Number(s.value) >= 0)) return "share values must be 0 or greater";
+  }
+  if (new Set(shares.map((s) => s.person_id)).size !== shares.length) return "Each person can only have one share";
+  if (basis === "fixed") {
+    const total = shares.reduce((s, x) => s + Number(x.value), 0);
+    if (Math.abs(total - 100) > 0.001) return `Fixed percentages must add up to 100 (got ${total})`;
+  }
+  return null;
+}
+
+function saveShares(poolId, shares) {
+  pools.clearShares.run({ pool_id: poolId });
+  for (const s of shares) {
+    if (Number(s.value) > 0) pools.insertShare.run({ pool_id: poolId, person_id: s.person_id, value: Number(s.value) });
+  }
+}
+
+// GET /api/cycles/:cycleId/pools
+// → [{ id, name, basis, shares: [{ person_id, person_name, value }] }], the
+// default pool first with id null.
+router.get("/", (req, res) => {
+  try {
+    res.json(cyclePools(req.params.cycleId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cycles/:cycleId/pools  { name, basis, shares?: [{ person_id, value }] }
+router.post("/", requireOpen, (req, res) => {
+  const { name, basis, shares = [] } = req.body || {};
+  if (!name || !basis) return res.status(400).json({ error: "name and basis are required" });
+  const error = validate({ name, basis, shares });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const id = uuidv4();
+    pools.insert.run({ id, cycle_id: req.cycle.id, name: name.trim(), basis });
+    saveShares(id, shares);
+    res.status(201).json(cyclePools(req.cycle.id));
+  } catch (err) {
+    if (err.message.includes("UNIQUE")) {
+      return res.status(409).json({ error: "This cycle already has a pool with that name." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/cycles/:cycleId/pools/:poolId  { name?, basis?, shares? }
+// shares replaces the pool's shares entirely.
+router.patch("/:poolId", requireOpen, (req, res) => {
+  const pool = loadPool(req, res);
+  if (!pool) return;
+  const { name, basis = pool.basis, shares } = req.body || {};
+  // Switching to fixed re-checks the existing percentages
+  const current = shares ?? pools.sharesForCycle.all({ cycle_id: req.cycle.id }).filter((s) => s.pool_id === pool.id);
+  const error = validate({ name, basis, shares: basis === "fixed" ? current : shares });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    pools.update.run({ id: pool.id, name: name ? name.trim() : pool.name, basis });
+    if (shares !== undefined) saveShares(pool.id, shares);
+    res.json(cyclePools(req.cycle.id));
+  } catch (err) {
+    if (err.message.includes("UNIQUE")) {
+      return res.status(409).json({ error: "This cycle already has a pool with that name." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cycles/:cycleId/pools/:poolId
+// Its transactions, receipts and split lines go back to the default pool.
+router.delete("/:poolId", requireOpen, (req, res) => {
+  const pool = loadPool(req, res);
+  if (!pool) return;
+  try {
+    pools.releaseTransactions.run({ pool_id: pool.id });
+    pools.releaseReceipts.run({ pool_id: pool.id });
+    pools.releaseSplits.run({ pool_id: pool.id });
+    pools.clearShares.run({ pool_id: pool.id });
+    pools.delete.run(pool.id);
+    res.json(cyclePools(req.cycle.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+/**
+ * routes/rules.js
+ * Grocery classification rules used by Plaid sync and CSV import. A rule sets
+ * any mix of merchant substring, merchant regex, Plaid category and amount
+ * range; its action decides what happens to matching transactions:
+ *   include — imported as a grocery transaction
+ *   review  — queued for review (when no include rule matched)
+ *   exclude — dropped, even if an include rule also matched
+ */
+
+const express = require("express");
+const router = express.Router();
+const { rules, uuidv4, ruleMatches } = require("../db");
+
+const RULE_ACTIONS = ["include", "review", "exclude"];
+
+/**
+ * Merge a request body over an existing rule (or blanks for a new one) and
+ * validate the result. Returns { rule } or { error }.
+ */
+function buildRule(body, base = {}) {
+  const pick = (key) => (body[key] !== undefined ? body[key] : base[key]);
+  const text = (key) => {
+    const v = pick(key);
+    return typeof v === "string" && v.trim() ? v.trim() : null;
+  };
+  const number = (key) => {
+    const v = pick(key);
+    return v === null || v === undefined || v === "" ? null : Number(v);
+  };
+
+  const rule = {
+    action: pick("action"),
+    merchant_contains: text("merchant_contains"),
+    merchant_regex: text("merchant_regex"),
+    category: text("category"),
+    min_amount: number("min_amount"),
+    max_amount: number("max_amount"),
+    enabled: pick("enabled") === undefined ? 1 : (pick("enabled") ? 1 : 0),
+    note: text("note"),
+  };
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    return { error: `action must be one of: ${RULE_ACTIONS.join(", ")}` };
+  }
+  if (!rule.merchant_contains && !rule.merchant_regex && !rule.category &&
+      rule.min_amount === null && rule.max_amount === null) {
+    return { error: "A rule needs at least one condition" };
+  }
+  if (rule.merchant_regex) {
+    try {
+      new RegExp(rule.merchant_regex, "i");
+    } catch (err) {
+      return { error: `Invalid merchant_regex: ${err.message}` };
+    }
+  }
+  for (const key of ["min_amount", "max_amount"]) {
+    if (rule[key] !== null && !Number.isFinite(rule[key])) {
+      return { error: `${key} must be a number` };
+    }
+  }
+  if (rule.min_amount !== null && rule.max_amount !== null && rule.min_amount > rule.max_amount) {
+    return { error: "min_amount cannot be greater than max_amount" };
+  }
+  return { rule };
+}
+
+// GET /api/rules
+router.get("/", (req, res) => {
+  try {
+    res.json(rules.all.all());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/rules
+// { action, merchant_contains?, merchant_regex?, category?, min_amount?, max_amount?, enabled?, note? }
+router.post("/", (req, res) => {
+  const { rule, error } = buildRule(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const id = uuidv4();
+    rules.insert.run({ id, ...rule });
+    res.status(201).json(rules.byId.get({ id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/rules/test  { ...rule fields }
+// Which imported or queued transactions a rule — saved or not — would match.
+// Shows the 100 most recent; `count` is the full number.
+router.post("/test", (req, res) => {
+  const { rule, error } = buildRule(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const matches = rules.history.all().filter((t) => ruleMatches(rule, t));
+    res.json({ count: matches.length, matches: matches.slice(0, 100) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/rules/:id  { any rule field }
+router.patch("/:id", (req, res) => {
+  const existing = rules.byId.get({ id: req.params.id });
+  if (!existing) return res.status(404).json({ error: "Rule not found" });
+
+  const { rule, error } = buildRule(req.body, existing);
+  if (error) return res.status(400).json({ error });
+  try {
+    rules.update.run({ id: existing.id, ...rule });
+    res.json(rules.byId.get({ id: existing.id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/rules/:id
+router.delete("/:id", (req, res) => {
+  try {
+    rules.delete.run({ id: req.params.id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
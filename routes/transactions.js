@@ -1,62 +1,38 @@
 /**
  * routes/transactions.js
- * Manage transactions within a cycle: add manual, toggle verified, delete.
- * Plaid sync is in routes/plaid.js.
+ * Manage transactions within a cycle: add manual, toggle verified, split into
+ * lines, delete. Plaid sync is in routes/plaid.js.
  */
 
 const express = require("express");
 const router = express.Router({ mergeParams: true }); // inherits :cycleId from parent
-const { tx, cycles, uuidv4 } = require("../db");
-
-// ── CIBC CSV parser ──────────────────────────────────────────────────────────
-// CIBC CSV format: date,"vendor",debit,credit,card_number
-// Vendor field may contain commas and is RFC 4180 quoted.
-
-function parseCsvLine(line) {
-  const fields = [];
-  let i = 0;
-  while (i < line.length) {
-    if (line[i] === '"') {
-      // Quoted field — handle escaped quotes ("")
-      let field = "";
-      i++; // skip opening quote
-      while (i < line.length) {
-        if (line[i] === '"' && line[i + 1] === '"') { field += '"'; i += 2; }
-        else if (line[i] === '"') { i++; break; } // closing quote
-        else { field += line[i++]; }
-      }
-      if (i < line.length && line[i] === ',') i++; // skip comma
-      fields.push(field);
-    } else {
-      // Unquoted field
-      const start = i;
-      while (i < line.length && line[i] !== ',') i++;
-      fields.push(line.slice(start, i));
-      if (i < line.length) i++; // skip comma
-    }
+const { tx, splits, lineItems, people, pools, uuidv4, defaultPayer, cycleSplits, cycleLineItems } = require("../db");
+const { toCents, toDollars, sumCents } = require("../lib/money");
+const { normalizeTags } = require("../lib/lineItems");
+const { importCibcCsv } = require("../lib/cibcCsv");
+const { requireOpenCycle } = require("../lib/cycleLock");
+
+// Writes refuse finalized cycles; PATCH and DELETE also check the row
+// belongs to the cycle in the URL, so an open cycle's path can't reach into
+// a locked one.
+const requireOpen = requireOpenCycle("cycleId");
+
+function loadTransaction(req, res) {
+  const row = tx.byId.get(req.params.txId);
+  if (!row || row.cycle_id !== req.cycle.id) {
+    res.status(404).json({ error: "Transaction not found" });
+    return null;
   }
-  return fields;
+  return row;
 }
 
-function parseCibcRow(line) {
-  // Expected: [date, vendor, debit, credit, card_number]
-  const fields = parseCsvLine(line);
-  if (fields.length < 3) return null;
-
-  const date     = fields[0].trim();
-  const merchant = fields[1].trim();
-  const debit    = fields[2].trim(); // positive = expense
-  const credit   = fields[3]?.trim() || ""; // positive = refund — we skip these
-
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
-  if (!merchant) return null;
-
-  // Prefer debit column; skip credits/refunds
-  if (!debit || debit === "0") return null;
-  const amount = parseFloat(debit);
-  if (isNaN(amount) || amount <= 0) return null;
-
-  return { date, merchant, amount };
+// A refund can only point at a purchase (positive amount) in the same cycle;
+// returns an error message or null
+function refundTargetError(refund_of, cycleId) {
+  const original = tx.byId.get(refund_of);
+  if (!original || original.cycle_id !== cycleId) return "Unknown refund_of transaction for this cycle";
+  if (original.amount <= 0) return "refund_of must be a purchase";
+  return null;
 }
 
 // GET /api/cycles/:cycleId/transactions
@@ -70,17 +46,23 @@ router.get("/", (req, res) => {
 });
 
 // POST /api/cycles/:cycleId/transactions  (manual receipt entry)
-// { date, merchant, amount, source, notes }
-router.post("/", (req, res) => {
-  const { date, merchant, amount, source = "receipt", notes } = req.body;
+// { date, merchant, amount, source, notes, payer_id, refund, refund_of }
+// payer_id defaults to the household's default payer for the source.
+// refund: true (or a refund_of link) stores the amount as a negative credit.
+router.post("/", requireOpen, (req, res) => {
+  const { date, merchant, amount, source = "receipt", notes, payer_id, refund, refund_of } = req.body;
 
   if (!merchant || !amount) {
     return res.status(400).json({ error: "merchant and amount are required" });
   }
 
-  const cycle = cycles.byId.get(req.params.cycleId);
-  if (!cycle) return res.status(404).json({ error: "Cycle not found" });
-  if (cycle.finalized) return res.status(409).json({ error: "Cycle is finalized" });
+  if (payer_id && !people.byId.get(payer_id)) {
+    return res.status(400).json({ error: "Unknown payer_id" });
+  }
+  if (refund_of) {
+    const error = refundTargetError(refund_of, req.cycle.id);
+    if (error) return res.status(400).json({ error });
+  }
 
   try {
     const id = uuidv4();
@@ -90,9 +72,13 @@ router.post("/", (req, res) => {
       plaid_id: null,
       date: date || new Date().toISOString().slice(0, 10),
       merchant: merchant.trim(),
-      amount: Math.abs(Number(amount)), // always store as positive expense
+      // Expenses are positive, refunds/credits negative
+      amount: (refund || refund_of ? -1 : 1) * Math.abs(Number(amount)),
       source,
       notes: notes || null,
+      payer_id: payer_id || defaultPayer(source),
+      account_id: null,
+      refund_of: refund_of || null,
     });
     res.status(201).json(tx.byCycle.all(req.params.cycleId));
   } catch (err) {
@@ -100,23 +86,115 @@ router.post("/", (req, res) => {
   }
 });
 
-// PATCH /api/cycles/:cycleId/transactions/:txId  { verified: true|false }
-router.patch("/:txId", (req, res) => {
-  const { verified } = req.body;
-  if (verified === undefined) {
-    return res.status(400).json({ error: "verified field required" });
+// PATCH /api/cycles/:cycleId/transactions/:txId
+// { verified?: true|false, payer_id?: id|null, refund_of?: id|null, pool_id?: id|null }
+// pool_id null puts the transaction back in the default Groceries pool.
+router.patch("/:txId", requireOpen, (req, res) => {
+  const { verified, payer_id, refund_of, pool_id } = req.body;
+  if (verified === undefined && payer_id === undefined && refund_of === undefined && pool_id === undefined) {
+    return res.status(400).json({ error: "verified, payer_id, refund_of or pool_id field required" });
+  }
+  if (payer_id && !people.byId.get(payer_id)) {
+    return res.status(400).json({ error: "Unknown payer_id" });
+  }
+  if (pool_id && pools.byId.get(pool_id)?.cycle_id !== req.cycle.id) {
+    return res.status(400).json({ error: "Unknown pool_id for this cycle" });
+  }
+  const row = loadTransaction(req, res);
+  if (!row) return;
+  if (refund_of) {
+    if (row.amount >= 0) {
+      return res.status(400).json({ error: "Only refunds (negative amounts) can link to a purchase" });
+    }
+    const error = refundTargetError(refund_of, req.cycle.id);
+    if (error) return res.status(400).json({ error });
   }
   try {
-    tx.setVerified.run({ id: req.params.txId, verified: verified ? 1 : 0 });
+    if (verified !== undefined) {
+      tx.setVerified.run({ id: req.params.txId, verified: verified ? 1 : 0 });
+    }
+    if (payer_id !== undefined) {
+      tx.setPayer.run({ id: req.params.txId, payer_id: payer_id || null });
+    }
+    if (refund_of !== undefined) {
+      tx.setRefundOf.run({ id: req.params.txId, refund_of: refund_of || null });
+    }
+    if (pool_id !== undefined) {
+      tx.setPool.run({ id: req.params.txId, pool_id: pool_id || null });
+    }
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// PUT /api/cycles/:cycleId/transactions/:txId/splits
+// { lines: [{ amount, pool_id?, person_id?, note?, tags? }] }
+// Replaces the transaction's split lines; an empty list bills it whole again.
+// Each line goes to a pool (null = Groceries) or, with person_id, to that
+// person alone. Lines must add up to the transaction's amount to the cent.
+// Tags work as on line items: diners who exclude one don't share the line.
+router.put("/:txId/splits", requireOpen, (req, res) => {
+  const { lines } = req.body || {};
+  if (!Array.isArray(lines) || !lines.every((line) => line && typeof line === "object")) {
+    return res.status(400).json({ error: "lines must be an array of { amount, pool_id?, person_id?, note?, tags? }" });
+  }
+  const row = loadTransaction(req, res);
+  if (!row) return;
+  if (lines.length === 1) {
+    return res.status(400).json({ error: "A split needs at least two lines" });
+  }
+  // A split transaction is excluded by its lines' tags, so item tags would be ignored
+  if (lines.length > 0 && cycleLineItems(req.cycle.id).some((i) => i.transaction_id === row.id && i.tags.length > 0)) {
+    return res.status(400).json({ error: "Its line items are tagged. Tag the split lines instead and clear the item tags first." });
+  }
+  for (const line of lines) {
+    if (!Number.isFinite(Number(line.amount)) || toCents(line.amount) === 0) {
+      return res.status(400).json({ error: "Each line needs a non-zero amount" });
+    }
+    if (line.pool_id && line.person_id) {
+      return res.status(400).json({ error: "A line goes to a pool or a person, not both" });
+    }
+    if (line.pool_id && pools.byId.get(line.pool_id)?.cycle_id !== req.cycle.id) {
+      return res.status(400).json({ error: "Unknown pool_id for this cycle" });
+    }
+    if (line.person_id && !people.byId.get(line.person_id)) {
+      return res.status(400).json({ error: `Unknown person_id ${line.person_id}` });
+    }
+  }
+  const linesCents = sumCents(lines);
+  if (lines.length > 0 && linesCents !== toCents(row.amount)) {
+    return res.status(400).json({
+      error: `Lines add up to ${toDollars(linesCents).toFixed(2)} but the transaction is ${Number(row.amount).toFixed(2)}`,
+    });
+  }
+
+  try {
+    splits.clear.run({ transaction_id: row.id });
+    lines.forEach((line, position) => {
+      splits.insert.run({
+        id: uuidv4(),
+        transaction_id: row.id,
+        amount: toDollars(toCents(line.amount)),
+        pool_id: line.pool_id || null,
+        person_id: line.person_id || null,
+        note: line.note?.trim() || null,
+        tags: normalizeTags(line.tags).join(","),
+        position,
+      });
+    });
+    res.json(cycleSplits(req.cycle.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // DELETE /api/cycles/:cycleId/transactions/:txId
-router.delete("/:txId", (req, res) => {
+router.delete("/:txId", requireOpen, (req, res) => {
+  if (!loadTransaction(req, res)) return;
   try {
+    splits.clear.run({ transaction_id: req.params.txId });
+    lineItems.clearTransaction.run({ transaction_id: req.params.txId });
     tx.delete.run(req.params.txId);
     res.json({ ok: true });
   } catch (err) {
@@ -125,58 +203,17 @@ router.delete("/:txId", (req, res) => {
 });
 
 // POST /api/cycles/:cycleId/import-csv  { csv: "<raw csv text>" }
-// Imports CIBC-format CSV transactions. Skips duplicates and credits.
-router.post("/import-csv", (req, res) => {
+// Imports CIBC-format CSV transactions into this cycle, whatever their date
+// (see lib/cibcCsv.js). POST /api/cycles/import-csv files each row into the
+// cycle covering its date instead.
+router.post("/import-csv", requireOpen, (req, res) => {
   const { csv } = req.body;
   if (!csv || typeof csv !== "string") {
     return res.status(400).json({ error: "csv field required" });
   }
 
-  const cycle = cycles.byId.get(req.params.cycleId);
-  if (!cycle) return res.status(404).json({ error: "Cycle not found" });
-  if (cycle.finalized) return res.status(409).json({ error: "Cycle is finalized" });
-
-  const lines = csv.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  let added = 0, skipped = 0, errors = 0;
-
-  for (const line of lines) {
-    // Skip header rows (any line that doesn't start with a date)
-    if (!/^\d{4}-\d{2}-\d{2}/.test(line)) continue;
-
-    const parsed = parseCibcRow(line);
-    if (!parsed) { errors++; continue; }
-
-    const { date, merchant, amount } = parsed;
-
-    // Deduplicate: generate a fingerprint stored as plaid_id
-    const fingerprint = `csv:${date}:${merchant}:${amount.toFixed(2)}`;
-    const existing = tx.byPlaidId.get({ plaid_id: fingerprint });
-    if (existing) { skipped++; continue; }
-
-    try {
-      tx.insert.run({
-        id: uuidv4(),
-        cycle_id: req.params.cycleId,
-        plaid_id: fingerprint,
-        date,
-        merchant: merchant.slice(0, 200),
-        amount,
-        source: "csv",
-        notes: null,
-      });
-      added++;
-    } catch (err) {
-      console.error("[CSV import] row error:", err.message, line);
-      errors++;
-    }
-  }
-
-  res.json({
-    added,
-    skipped,
-    errors,
-    transactions: tx.byCycle.all(req.params.cycleId),
-  });
+  const result = importCibcCsv(csv, () => req.cycle);
+  res.json({ ...result, transactions: tx.byCycle.all(req.params.cycleId) });
 });
 
 module.exports = router;
@@ -2,11 +2,13 @@
 /**
  * scripts/check-plaid.js
  * Validates your Plaid credentials by making a real API call.
+ * With PLAID_ENV=mock it checks the offline fixtures instead.
  * Run: node scripts/check-plaid.js
  */
 
 require("dotenv").config();
-const { PlaidApi, PlaidEnvironments, Configuration } = require("plaid");
+const { PlaidEnvironments } = require("plaid");
+const { createPlaidClient } = require("../lib/plaidClient");
 
 const clientId = process.env.PLAID_CLIENT_ID;
 const secret   = process.env.PLAID_SECRET;
@@ -16,26 +18,41 @@ console.log("\n── Plaid credential check ───────────
 console.log(`  PLAID_ENV       : ${env}`);
 console.log(`  PLAID_CLIENT_ID : ${clientId || "(not set)"}`);
 console.log(`  PLAID_SECRET    : ${secret ? secret.slice(0, 4) + "…" + secret.slice(-4) : "(not set)"}`);
-console.log(`  Base URL        : ${PlaidEnvironments[env] || "(unknown env)"}`);
+console.log(`  Base URL        : ${env === "mock" ? "(offline fixtures)" : PlaidEnvironments[env] || "(unknown env)"}`);
 console.log("────────────────────────────────────────────────────\n");
 
+if (env === "mock") {
+  // No credentials or network needed — make sure the fixtures load and the
+  // mock Link → sync round trip works.
+  const client = createPlaidClient("mock");
+  (async () => {
+    const institutions = client.mockInstitutions();
+    if (institutions.length === 0) throw new Error("No fixture files found");
+    for (const inst of institutions) {
+      const { data: { access_token } } = await client.itemPublicTokenExchange({ public_token: `public-mock-${inst.id}-00000000` });
+      const { data } = await client.transactionsSync({ access_token, count: 500 });
+      console.log(`  ✓ ${inst.name}: ${inst.accounts.length} account(s), ${data.added.length} transaction(s)`);
+    }
+    console.log("\n✅  Mock Plaid fixtures are valid!\n");
+    console.log("Next step: click 'Connect Bank' in the app and pick a mock institution.");
+  })().catch((err) => {
+    console.error("❌  Mock fixtures failed to load:", err.message);
+    process.exit(1);
+  });
+  return;
+}
+
 if (!clientId || !secret) {
   console.error("❌  Missing credentials — set PLAID_CLIENT_ID and PLAID_SECRET in .env");
   process.exit(1);
 }
 
 if (!PlaidEnvironments[env]) {
-  console.error(`❌  Unknown PLAID_ENV "${env}" — must be sandbox, development, or production`);
+  console.error(`❌  Unknown PLAID_ENV "${env}" — must be sandbox, development, production, or mock`);
   process.exit(1);
 }
 
-const client = new PlaidApi(new Configuration({
-  basePath: PlaidEnvironments[env],
-  baseOptions: { headers: {
-    "PLAID-CLIENT-ID": clientId,
-    "PLAID-SECRET":    secret,
-  }},
-}));
+const client = createPlaidClient(env);
 
 console.log("Testing credentials with a link token request…\n");
 
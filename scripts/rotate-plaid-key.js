@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * scripts/rotate-plaid-key.js
+ * Re-encrypts every stored Plaid access token under a new key.
+ * Stop the server first — it holds the old key in memory.
+ *
+ * Run: npm run rotate-plaid-key               (generate a new random key)
+ *      npm run rotate-plaid-key -- <64 hex>   (use the given key)
+ *
+ * With a keyfile the new key replaces it (the old one is kept as
+ * <keyfile>.old until the next rotation). With PLAID_TOKEN_KEY the new key is
+ * printed — put it in .env before restarting.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const dbModule = require("../db");
+const {
+  loadTokenKey, generateKey, writeKeyFile, keyId, encryptToken, decryptToken,
+} = require("../lib/tokenCrypto");
+
+async function rotate() {
+  const current = loadTokenKey();
+  const arg = process.argv[2];
+  if (arg && !/^[0-9a-fA-F]{64}$/.test(arg)) throw new Error("New key must be 64 hex characters (32 bytes)");
+  const next = arg ? Buffer.from(arg, "hex") : generateKey();
+  if (next.equals(current.key)) throw new Error("New key is the same as the current key");
+
+  await dbModule.init();
+  dbModule.buildQueries();
+  const { plaid } = dbModule;
+
+  // Decrypt everything first so a token the current key can't read aborts
+  // the rotation before anything is written.
+  const items = plaid.all.all().map((item) => ({
+    item_id: item.item_id,
+    institution: item.institution,
+    token: decryptToken(item.access_token, current.key),
+  }));
+
+  // Stage the new keyfile before touching the database, so a failed write
+  // can't leave tokens encrypted under a key that was never saved.
+  const staged = current.source === "file" ? `${current.file}.new` : null;
+  if (staged) writeKeyFile(staged, next);
+
+  // Each token records the id of the key it was encrypted with, so if this
+  // stops part-way the error on the next start names the key each row needs.
+  for (const item of items) {
+    plaid.setAccessToken.run({ item_id: item.item_id, access_token: encryptToken(item.token, next) });
+    console.log(`  ✓ ${item.institution} (${item.item_id})`);
+  }
+
+  console.log(`\n✅  Re-encrypted ${items.length} token(s): key ${keyId(current.key)} → ${keyId(next)}`);
+
+  if (staged) {
+    fs.renameSync(current.file, `${current.file}.old`);
+    fs.renameSync(staged, current.file);
+    console.log(`   New key saved to ${current.file} (previous key in ${current.file}.old)\n`);
+  } else {
+    console.log("   Set this in .env before restarting the server:\n");
+    console.log(`   PLAID_TOKEN_KEY=${next.toString("hex")}\n`);
+  }
+}
+
+rotate().catch((err) => {
+  console.error("Key rotation failed:", err.message);
+  process.exit(1);
+});
@@ -18,6 +18,7 @@ async function startServer() {
   const dbModule = require("../db");
   await dbModule.init();      // loads sql.js WASM + opens/creates grocsplit.db
   dbModule.buildQueries();    // prepares all SQL statements against the live db
+  dbModule.snapshotFinalizedCycles(); // freezes bills finalized before snapshots existed
 
   // ── 2. Create Express app ─────────────────────────────────────────────────
   const app = express();
@@ -33,7 +34,8 @@ async function startServer() {
     credentials: true,
   }));
 
-  app.use(express.json());
+  // Keep the raw bytes too — Plaid webhook signatures cover the exact body
+  app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
   // Simple request logger
   app.use((req, _res, next) => {
@@ -46,11 +48,25 @@ async function startServer() {
   const cyclesRouter       = require("../routes/cycles");
   const transactionsRouter = require("../routes/transactions");
   const plaidRouter        = require("../routes/plaid");
+  const accountsRouter     = require("../routes/accounts");
+  const candidatesRouter   = require("../routes/candidates");
+  const rulesRouter        = require("../routes/rules");
+  const ledgerRouter       = require("../routes/ledger");
+  const paymentsRouter     = require("../routes/payments");
+  const poolsRouter        = require("../routes/pools");
+  const itemsRouter        = require("../routes/items");
 
   app.use("/api/people",                          peopleRouter);
   app.use("/api/cycles",                          cyclesRouter);
   app.use("/api/plaid",                           plaidRouter);
+  app.use("/api/accounts",                        accountsRouter);
+  app.use("/api/rules",                           rulesRouter);
+  app.use("/api/ledger",                          ledgerRouter);
   app.use("/api/cycles/:cycleId/transactions",    transactionsRouter);
+  app.use("/api/cycles/:cycleId/candidates",      candidatesRouter);
+  app.use("/api/cycles/:cycleId/payments",        paymentsRouter);
+  app.use("/api/cycles/:cycleId/pools",           poolsRouter);
+  app.use("/api/cycles/:cycleId/items",           itemsRouter);
 
   // ── 4. Health check ───────────────────────────────────────────────────────
   app.get("/api/health", (_req, res) => {